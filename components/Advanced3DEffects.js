@@ -12,6 +12,7 @@ class Advanced3DEffects {
         this.mouse = { x: 0, y: 0 };
         this.scrollY = 0;
         this.isTransitioning = false;
+        this.animationPaused = false;
         
         // Scroll-locked transition configuration
         this.config = {
@@ -40,7 +41,8 @@ class Advanced3DEffects {
                 wireframe: true,
                 colors: [0x667eea, 0x764ba2, 0xf093fb],
                 autoHide: true,
-                scalePulse: false
+                scalePulse: false,
+                presetDuration: 800       // ms to ease from one preset to the next
             },
             
             // Software Showcase Controls
@@ -81,10 +83,15 @@ class Advanced3DEffects {
     }
 
     init() {
+        this.restoreSettings();
         this.setupMouseTracking();
         
         if (this.config.floatingElements.enabled) {
             this.createFloating3DElements();
+
+            if (this.restoredColors) {
+                this.setElementColors(this.restoredColors);
+            }
         }
         
         if (this.config.softwareShowcase.enabled) {
@@ -97,8 +104,281 @@ class Advanced3DEffects {
         }
         
         this.startAnimationLoop();
+        this.setupSectionPresets();
+        this.setupScrollTransitions();
         this.setupControlMethods();
     }
+
+    // Sections can set the mood: <section data-3d-preset="energetic"> eases into that preset
+    // while the section crosses the middle of the viewport. These switches aren't saved, and
+    // they stand aside once the visitor has settings of their own (saved, shared or tuned).
+    setupSectionPresets() {
+        const sections = document.querySelectorAll('[data-3d-preset]');
+        if (sections.length === 0 || typeof IntersectionObserver === 'undefined') return;
+
+        // A band at the middle of the viewport, so sections of any height take their turn
+        const observer = new IntersectionObserver((entries) => {
+            if (this.hasOwnSettings) return;
+
+            entries.forEach((entry) => {
+                if (entry.isIntersecting) {
+                    this.applyPreset(entry.target.getAttribute('data-3d-preset'));
+                }
+            });
+        }, { rootMargin: '-50% 0px -50% 0px', threshold: 0 });
+
+        sections.forEach((section) => observer.observe(section));
+        this.sectionPresetObserver = observer;
+    }
+    
+    // ===== SCROLL-LOCKED SECTION TRANSITIONS =====
+    // At a section boundary, a wheel, key or swipe locks scrolling while the page eases to the
+    // next (or previous) top-level section: the outgoing section tilts and shrinks away in
+    // perspective while the incoming one settles into place, then scrolling unlocks again.
+    // Inside a section, and with reduced motion, scrolling is left alone. Settings are read
+    // from config.scrollTransitions on every gesture, so the tuning panel applies live.
+    // Wheel events over embedded iframes stay inside them and scroll natively.
+    setupScrollTransitions() {
+        this.touchStartY = null;
+        this.lastWheelTime = -Infinity;
+        this.wheelSettled = true;
+
+        window.addEventListener('wheel', (e) => {
+            // Trackpad momentum keeps sending wheel events after the flick that started a
+            // transition; they belong to that gesture until the wheel has been quiet for a moment
+            const now = performance.now();
+            if (now - this.lastWheelTime > Advanced3DEffects.WHEEL_SETTLE) {
+                this.wheelSettled = true;
+            }
+            this.lastWheelTime = now;
+
+            if (this.isTransitioning || !this.wheelSettled) {
+                e.preventDefault();
+                return;
+            }
+
+            // Ctrl+wheel zooms the page
+            if (e.ctrlKey || Math.abs(e.deltaY) < 1) return;
+
+            if (this.tryScrollTransition(e, e.deltaY > 0 ? 1 : -1)) {
+                this.wheelSettled = false;
+            }
+        }, { passive: false });
+
+        window.addEventListener('keydown', (e) => {
+            const direction = Advanced3DEffects.SCROLL_KEYS[e.key];
+            if (!direction || e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+
+            // Keys typed into fields, and Space on buttons and links, keep their usual meaning
+            const target = e.target;
+            if (target.closest && target.closest('input, textarea, select, [contenteditable]')) return;
+            if (e.key === ' ' && target !== document.body && target !== document.documentElement) return;
+
+            if (this.isTransitioning) {
+                e.preventDefault();
+                return;
+            }
+
+            this.tryScrollTransition(e, e.key === ' ' && e.shiftKey ? -1 : direction);
+        });
+
+        window.addEventListener('touchstart', (e) => {
+            this.touchStartY = e.touches.length === 1 ? e.touches[0].clientY : null;
+        }, { passive: true });
+
+        window.addEventListener('touchmove', (e) => {
+            if (this.isTransitioning) {
+                e.preventDefault();
+                return;
+            }
+
+            if (this.touchStartY === null || e.touches.length !== 1) return;
+
+            const delta = this.touchStartY - e.touches[0].clientY;
+            if (delta === 0) return;
+
+            // One decision per swipe, on its first move: once the browser has started scrolling
+            // natively, later touchmove events can no longer be cancelled
+            this.touchStartY = null;
+            this.tryScrollTransition(e, delta > 0 ? 1 : -1);
+        }, { passive: false });
+    }
+
+    // Start a transition if this gesture crosses a section boundary; returns whether it did
+    tryScrollTransition(event, direction) {
+        if (!this.canTransitionScroll(event, direction)) return false;
+
+        const transition = this.findSectionTransition(direction);
+        if (!transition) return false;
+
+        event.preventDefault();
+        this.playSectionTransition(transition, direction);
+        return true;
+    }
+
+    canTransitionScroll(event, direction) {
+        if (!this.config.scrollTransitions.enabled || this.prefersReducedMotion()) return false;
+
+        // Open dialogs lock the page themselves
+        if (typeof Dialog !== 'undefined' && Dialog.scrollLocks > 0) return false;
+
+        // Let menus, panels and other scroll areas scroll first
+        return !Advanced3DEffects.canScrollWithin(event.target, direction);
+    }
+
+    prefersReducedMotion() {
+        return this.config.sectionAnimations.reducedMotion ||
+            Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+
+    // Top-level, visible sections in page order
+    getPageSections() {
+        return Array.from(document.querySelectorAll('section'))
+            .filter((section) => !section.parentElement.closest('section') && section.offsetHeight > 0);
+    }
+
+    // { from, to, target } when the viewport is within lockThreshold of the current section's edge
+    findSectionTransition(direction) {
+        const sections = this.getPageSections();
+        const { lockThreshold } = this.config.scrollTransitions;
+        const viewport = window.innerHeight;
+
+        // The section at the top of the viewport
+        const index = sections.findIndex((section) => section.getBoundingClientRect().bottom > 1);
+        if (index === -1) return null;
+
+        const rect = sections[index].getBoundingClientRect();
+        let to;
+        let target;
+
+        if (direction > 0) {
+            to = sections[index + 1];
+            if (!to || rect.bottom - viewport > lockThreshold) return null;
+            target = window.scrollY + to.getBoundingClientRect().top;
+        } else {
+            to = sections[index - 1];
+            if (!to || rect.top < -lockThreshold) return null;
+
+            // Land on the end of a tall previous section rather than jumping back to its top
+            const toRect = to.getBoundingClientRect();
+            target = window.scrollY + Math.max(toRect.top, toRect.bottom - viewport);
+        }
+
+        const maxScroll = document.documentElement.scrollHeight - viewport;
+        return { from: sections[index], to, target: Math.max(0, Math.min(maxScroll, target)) };
+    }
+
+    playSectionTransition({ from, to, target }, direction) {
+        const { duration, easing, perspective, rotationIntensity, scaleRange, parallaxFactor } = this.config.scrollTransitions;
+        const start = window.scrollY;
+        const distance = target - start;
+        const curve = Advanced3DEffects.easingCurve(easing) || Advanced3DEffects.EASINGS.ease;
+        const ease = Advanced3DEffects.cubicBezier(...curve);
+
+        if (typeof from.animate === 'function') {
+            // The outgoing section lags behind the scroll by parallaxFactor and hinges on its leading edge
+            const drift = direction * Math.min(Math.abs(distance), window.innerHeight) * parallaxFactor;
+            const tilt = rotationIntensity * direction;
+            const fromOrigin = direction > 0 ? 'center bottom' : 'center top';
+            const toOrigin = direction > 0 ? 'center top' : 'center bottom';
+            const timing = { duration, easing: `cubic-bezier(${curve.join(', ')})` };
+
+            from.animate([
+                { transform: `perspective(${perspective}px) translateY(0) rotateX(0deg) scale(1)`, transformOrigin: fromOrigin },
+                { transform: `perspective(${perspective}px) translateY(${drift}px) rotateX(${tilt}deg) scale(${scaleRange.min})`, transformOrigin: fromOrigin }
+            ], timing);
+
+            to.animate([
+                { transform: `perspective(${perspective}px) rotateX(${-tilt}deg) scale(${scaleRange.max})`, transformOrigin: toOrigin },
+                { transform: `perspective(${perspective}px) rotateX(0deg) scale(1)`, transformOrigin: toOrigin }
+            ], timing);
+        }
+
+        // Locked only once everything has started, so nothing above can leave the page stuck
+        this.isTransitioning = true;
+
+        const startTime = performance.now();
+        this.scrollTransition = FrameScheduler.add('scroll-transition', (time) => {
+            const progress = duration > 0 ? Math.min(1, Math.max(0, (time - startTime) / duration)) : 1;
+
+            // 'instant' so the page's scroll-behavior: smooth doesn't fight the tween
+            window.scrollTo({ top: start + distance * ease(progress), behavior: 'instant' });
+
+            if (progress === 1) {
+                this.scrollTransition.remove();
+                this.scrollTransition = null;
+                this.finishSectionTransition(to);
+            }
+        }, { pauseWhenHidden: false });
+    }
+
+    finishSectionTransition(section) {
+        if (this.config.scrollTransitions.autoUnlock) {
+            this.unlockScroll();
+        }
+
+        // Without autoUnlock, a listener decides when to call unlockScroll()
+        document.dispatchEvent(new CustomEvent('scrolltransition:end', { detail: { section } }));
+    }
+
+    unlockScroll() {
+        this.isTransitioning = false;
+    }
+
+    // Whether an element between target and the page can still scroll in this direction
+    static canScrollWithin(target, direction) {
+        for (let element = target instanceof Element ? target : null;
+            element && element !== document.body && element !== document.documentElement;
+            element = element.parentElement) {
+            const { overflowY } = window.getComputedStyle(element);
+            if ((overflowY === 'auto' || overflowY === 'scroll') && element.scrollHeight > element.clientHeight) {
+                const canScroll = direction > 0
+                    ? element.scrollTop + element.clientHeight < element.scrollHeight - 1
+                    : element.scrollTop > 0;
+                if (canScroll) return true;
+            }
+        }
+
+        return false;
+    }
+
+    // Control points of a CSS easing (keyword or cubic-bezier()), or null if the browser would
+    // reject it; the scroll follows the same curve as the section animations
+    static easingCurve(easing) {
+        const match = /^cubic-bezier\(([^)]+)\)$/.exec(String(easing).trim());
+        const points = match
+            ? match[1].split(',').map((point) => (point.trim() === '' ? NaN : Number(point)))
+            : Advanced3DEffects.EASINGS[easing];
+
+        // x values outside 0-1 make Element.animate() throw
+        const valid = Array.isArray(points) && points.length === 4 && points.every(Number.isFinite) &&
+            points[0] >= 0 && points[0] <= 1 && points[2] >= 0 && points[2] <= 1;
+        return valid ? points : null;
+    }
+
+    static cubicBezier(x1, y1, x2, y2) {
+        const curve = (a, b, t) => 3 * a * t * (1 - t) * (1 - t) + 3 * b * t * t * (1 - t) + t * t * t;
+
+        return (x) => {
+            if (x <= 0) return 0;
+            if (x >= 1) return 1;
+
+            // Find t for this x by bisection; x is monotonic in t for valid easing curves
+            let low = 0;
+            let high = 1;
+            let t = x;
+            for (let i = 0; i < 20; i++) {
+                if (curve(x1, x2, t) < x) {
+                    low = t;
+                } else {
+                    high = t;
+                }
+                t = (low + high) / 2;
+            }
+
+            return curve(y1, y2, t);
+        };
+    }
     
     // Merge configuration objects
     mergeConfig(defaultConfig, userConfig) {
@@ -117,24 +397,49 @@ class Advanced3DEffects {
     
     // Setup control methods for easy customization
     setupControlMethods() {
+        const effects = this;
+
+        // Changes made through the controls are saved and restored on the next visit
+        const saving = (change) => (...args) => {
+            change(...args);
+            this.saveSettings();
+        };
+
         // Expose control methods to window for easy access
         window.control3D = {
             // Floating Elements Controls
-            setBounceHeight: (height) => this.setBounceHeight(height),
-            setBounceSpeed: (speed) => this.setBounceSpeed(speed),
-            setElementOpacity: (opacity) => this.setElementOpacity(opacity),
-            toggleWireframe: () => this.toggleWireframe(),
+            setBounceHeight: saving((height) => this.setBounceHeight(height)),
+            setBounceSpeed: saving((speed) => this.setBounceSpeed(speed)),
+            setElementOpacity: saving((opacity) => this.setElementOpacity(opacity)),
+            setRotationSpeed: saving((speed) => this.setRotationSpeed(speed)),
+            setMouseInfluence: saving((influence) => this.setMouseInfluence(influence)),
+            toggleWireframe: saving(() => this.toggleWireframe()),
+            toggleScalePulse: saving(() => this.toggleScalePulse()),
             pauseAnimations: () => this.pauseAnimations(),
             resumeAnimations: () => this.resumeAnimations(),
             toggleElements: () => this.toggleElements(),
             
-            // Quick presets
-            presets: {
-                subtle: () => this.applyPreset('subtle'),
-                normal: () => this.applyPreset('normal'),
-                energetic: () => this.applyPreset('energetic'),
-                minimal: () => this.applyPreset('minimal')
+            // Quick presets: control3D.presets.energetic(), one function per registered preset
+            get presets() {
+                const presets = {};
+                Advanced3DEffects.listPresets().forEach((name) => {
+                    presets[name] = (options) => effects.applyPreset(name, options).then(() => effects.saveSettings());
+                });
+                return presets;
             },
+            applyPreset: (name, options) => this.applyPreset(name, options).then(() => this.saveSettings()),
+            registerPreset: (name, settings) => Advanced3DEffects.registerPreset(name, settings),
+            removePreset: (name) => Advanced3DEffects.removePreset(name),
+            listPresets: () => Advanced3DEffects.listPresets(),
+            changeElementColors: (colors) => this.changeElementColors(colors),
+
+            // Saved settings and share links (?preset=energetic&opacity=0.6)
+            getSettings: () => this.getSettings(),
+            resetSettings: () => this.resetSettings(),
+            getShareURL: () => this.getShareURL(),
+
+            // Section transitions (config.scrollTransitions); needed when autoUnlock is off
+            unlockScroll: () => this.unlockScroll(),
             
             // Real-time configuration
             config: this.config
@@ -229,10 +534,13 @@ class Advanced3DEffects {
 
             const mesh = new THREE.Mesh(geometry, material);
             mesh.position.set(tool.position.x, tool.position.y, tool.position.z);
+            // Each mesh keeps its own speed offset so changing the bounce speed doesn't reshuffle them
+            const speedOffset = Math.random() * 0.01;
             mesh.userData = { 
                 originalPosition: { ...tool.position }, 
                 name: tool.name, 
-                speed: this.config.floatingElements.bounceSpeed + Math.random() * 0.01,
+                speedOffset,
+                speed: this.config.floatingElements.bounceSpeed + speedOffset,
                 amplitude: this.config.floatingElements.bounceHeight,
                 rotationSpeed: this.config.floatingElements.rotationSpeed
             };
@@ -245,6 +553,8 @@ class Advanced3DEffects {
         const canvas = document.getElementById('software-canvas');
         if (!canvas) return;
 
+        this.setupSoftwarePicking(canvas);
+
         try {
             // Check WebGL support first
             const testCanvas = document.createElement('canvas');
@@ -260,11 +570,13 @@ class Advanced3DEffects {
             const camera = new THREE.PerspectiveCamera(75, canvas.clientWidth / canvas.clientHeight, 0.1, 1000);
             const renderer = new THREE.WebGLRenderer({ canvas, alpha: true, antialias: true });
             
+            // Render at the screen's density (capped) so the logo textures stay crisp
+            renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
             renderer.setSize(canvas.clientWidth, canvas.clientHeight);
             renderer.setClearColor(0x000000, 0);
 
             // Create 3D software icons
-            this.createSoftwareIcons(scene);
+            this.createSoftwareIcons(scene, renderer);
 
             // Add lights
             const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
@@ -285,38 +597,253 @@ class Advanced3DEffects {
         }
     }
 
-    createSoftwareIcons(scene) {
-        const softwareData = [
-            { name: 'Pr', color: 0x9A3FFF, position: { x: -4, y: 2, z: 0 } },
-            { name: 'Ae', color: 0xCF3FFF, position: { x: -2, y: -1, z: 1 } },
-            { name: 'DV', color: 0xFF3F3F, position: { x: 0, y: 1.5, z: -1 } },
-            { name: 'Bl', color: 0xFF7F3F, position: { x: 2, y: -0.5, z: 0.5 } },
-            { name: 'FCP', color: 0x3F3F3F, position: { x: 4, y: 1, z: -0.5 } },
-            { name: 'C4D', color: 0x3F7FFF, position: { x: -1, y: -2, z: 0 } },
-        ];
+    // Each tool starts as a coloured cube and is upgraded once its assets arrive:
+    // a glTF model when one is listed (and GLTFLoader is on the page), otherwise the logo as a card.
+    // Whatever fails to load leaves the cube in place.
+    createSoftwareIcons(scene, renderer) {
+        const textureLoader = new THREE.TextureLoader();
+        const gltfLoader = typeof THREE.GLTFLoader === 'function' ? new THREE.GLTFLoader() : null;
+        const anisotropy = renderer ? renderer.capabilities.getMaxAnisotropy() : 1;
+
+        Advanced3DEffects.SOFTWARE_TOOLS.forEach((software) => {
+            const icon = new THREE.Group();
+            icon.position.set(software.position.x, software.position.y, software.position.z);
+            icon.userData = {
+                originalPosition: { ...software.position },
+                name: software.name,
+                label: software.label,
+                // Per-icon variation around the config.softwareShowcase speeds, so they don't move in step
+                speedFactor: 0.75 + Math.random() * 0.5,
+                phase: Math.random() * Math.PI * 2
+            };
 
-        softwareData.forEach((software, index) => {
-            // Create rounded cube geometry
-            const geometry = new THREE.BoxGeometry(1, 1, 1);
-            const material = new THREE.MeshPhongMaterial({ 
-                color: software.color,
-                transparent: true,
-                opacity: 0.8
+            icon.add(this.createSoftwareCube(software));
+            this.applySoftwareMaterials(icon);
+            scene.add(icon);
+
+            const loadModel = software.model && gltfLoader
+                ? this.loadSoftwareModel(gltfLoader, software.model)
+                : Promise.reject(new Error('No model'));
+
+            loadModel
+                .then((model) => this.replaceSoftwareIcon(icon, model, false))
+                .catch(() => this.loadSoftwareLogo(textureLoader, software.logo, anisotropy)
+                    .then((card) => this.replaceSoftwareIcon(icon, card, true)))
+                .catch((error) => {
+                    console.warn(`Keeping the fallback cube for ${software.label}:`, error);
+                });
+        });
+    }
+
+    // Pointer picking: hovering an icon highlights its .software-card and shows a tooltip,
+    // clicking (or tapping) it scrolls to that card and opens it
+    setupSoftwarePicking(canvas) {
+        this.softwareCanvas = canvas;
+        this.hoveredSoftware = null;
+
+        this.softwareTooltip = document.createElement('div');
+        this.softwareTooltip.className = 'software-tooltip rounded-full bg-black/80 px-3 py-1 text-sm text-[#f1d7ff]';
+        this.softwareTooltip.setAttribute('role', 'tooltip');
+        this.softwareTooltip.hidden = true;
+        canvas.parentElement.appendChild(this.softwareTooltip);
+
+        canvas.addEventListener('pointermove', (e) => {
+            if (e.pointerType !== 'touch') this.setHoveredSoftware(this.pickSoftwareIcon(e), e);
+        });
+
+        canvas.addEventListener('pointerleave', (e) => {
+            if (e.pointerType !== 'touch') this.setHoveredSoftware(null);
+        });
+
+        // Touch has no hover, so a tap shows the tooltip briefly as well as opening the card
+        canvas.addEventListener('pointerdown', (e) => {
+            if (e.pointerType !== 'touch') return;
+
+            this.setHoveredSoftware(this.pickSoftwareIcon(e), e);
+            clearTimeout(this.softwareTouchTimer);
+            this.softwareTouchTimer = setTimeout(() => this.setHoveredSoftware(null), 2500);
+        });
+
+        canvas.addEventListener('click', (e) => {
+            const icon = this.pickSoftwareIcon(e);
+            if (icon) this.activateSoftwareCard(icon.name);
+        });
+    }
+
+    // The tool under the pointer as { name, label }, from either renderer
+    pickSoftwareIcon(event) {
+        const rect = event.currentTarget.getBoundingClientRect();
+
+        if (this.software2D) {
+            return this.pickSoftware2D(event.clientX - rect.left, event.clientY - rect.top);
+        }
+
+        const scene = this.scenes.get('software');
+        const camera = this.cameras.get('software');
+        if (!scene || !camera) return null;
+
+        this.raycaster = this.raycaster || new THREE.Raycaster();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+
+        this.raycaster.setFromCamera(pointer, camera);
+        const hit = this.raycaster.intersectObjects(scene.children, true)[0];
+
+        let icon = hit ? hit.object : null;
+        while (icon && !icon.userData.name) {
+            icon = icon.parent;
+        }
+
+        return icon ? icon.userData : null;
+    }
+
+    setHoveredSoftware(icon, event) {
+        const name = icon ? icon.name : null;
+
+        if (name !== this.hoveredSoftware) {
+            this.hoveredSoftware = name;
+
+            if (name) {
+                this.onSoftwareCardHover(name);
+            } else {
+                this.onSoftwareCardLeave();
+            }
+
+            document.querySelectorAll('.software-card').forEach((card) => {
+                card.classList.toggle('is-highlighted', card.getAttribute('data-software') === name);
             });
 
-            const mesh = new THREE.Mesh(geometry, material);
-            mesh.position.set(software.position.x, software.position.y, software.position.z);
-            mesh.userData = { 
-                originalPosition: { ...software.position }, 
-                name: software.name,
-                rotationSpeed: Math.random() * 0.02 + 0.01,
-                floatSpeed: Math.random() * 0.015 + 0.01
-            };
+            this.softwareCanvas.style.cursor = name ? 'pointer' : '';
+        }
 
-            // Add text texture
-            this.addTextToMesh(mesh, software.name);
-            
-            scene.add(mesh);
+        if (icon && event) {
+            this.showSoftwareTooltip(icon, event);
+        } else {
+            this.softwareTooltip.hidden = true;
+        }
+    }
+
+    showSoftwareTooltip(icon, event) {
+        const card = this.findSoftwareCard(icon.name);
+        const level = card ? card.querySelector('.software-card-level') : null;
+
+        this.softwareTooltip.textContent = level
+            ? `${icon.label} · ${level.textContent}`
+            : icon.label;
+
+        const rect = this.softwareTooltip.parentElement.getBoundingClientRect();
+        this.softwareTooltip.style.left = `${event.clientX - rect.left}px`;
+        this.softwareTooltip.style.top = `${event.clientY - rect.top}px`;
+        this.softwareTooltip.hidden = false;
+    }
+
+    findSoftwareCard(name) {
+        return document.querySelector(`.software-card[data-software="${name}"]`);
+    }
+
+    // Bring a tool's card into view and open its details
+    activateSoftwareCard(name) {
+        const card = this.findSoftwareCard(name);
+        if (!card) return;
+
+        card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        this.setSoftwareCardExpanded(card, true);
+
+        const toggle = card.querySelector('.software-card-toggle');
+        if (toggle) toggle.focus({ preventScroll: true });
+    }
+
+    setSoftwareCardExpanded(card, expanded) {
+        const toggle = card.querySelector('.software-card-toggle');
+        const details = card.querySelector('.software-card-details');
+
+        if (toggle) toggle.setAttribute('aria-expanded', String(expanded));
+        if (details) details.hidden = !expanded;
+        card.classList.toggle('is-expanded', expanded);
+    }
+
+    createSoftwareCube(software) {
+        const geometry = new THREE.BoxGeometry(1, 1, 1);
+        const material = new THREE.MeshPhongMaterial({ 
+            color: software.color,
+            transparent: true,
+            opacity: 0.8
+        });
+
+        const mesh = new THREE.Mesh(geometry, material);
+        this.addTextToMesh(mesh, software.name);
+        return mesh;
+    }
+
+    loadSoftwareModel(loader, url) {
+        return new Promise((resolve, reject) => {
+            loader.load(url, (gltf) => {
+                // Fit the model into the same unit box as the cube it replaces
+                const model = gltf.scene;
+                const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+                const largest = Math.max(size.x, size.y, size.z) || 1;
+                model.scale.multiplyScalar(1.2 / largest);
+                resolve(model);
+            }, undefined, reject);
+        });
+    }
+
+    loadSoftwareLogo(loader, url, anisotropy) {
+        return new Promise((resolve, reject) => {
+            loader.load(url, (texture) => {
+                texture.anisotropy = anisotropy;
+                // Premultiplied alpha avoids dark fringes around the logo edges once mipmapped
+                texture.premultiplyAlpha = true;
+
+                const material = new THREE.MeshBasicMaterial({
+                    map: texture,
+                    transparent: true,
+                    premultipliedAlpha: true,
+                    alphaTest: 0.01,
+                    depthWrite: false,
+                    side: THREE.DoubleSide
+                });
+
+                const aspect = texture.image.width / texture.image.height || 1;
+                const card = new THREE.Mesh(new THREE.PlaneGeometry(1.6 * aspect, 1.6), material);
+                resolve(card);
+            }, undefined, () => reject(new Error(`Failed to load ${url}`)));
+        });
+    }
+
+    // Swap the placeholder cube for the loaded asset; flat cards turn to face the camera
+    replaceSoftwareIcon(icon, content, billboard) {
+        icon.children.slice().forEach((child) => {
+            icon.remove(child);
+            child.traverse((node) => {
+                if (node.geometry) node.geometry.dispose();
+                if (node.material) {
+                    if (node.material.map) node.material.map.dispose();
+                    node.material.dispose();
+                }
+            });
+        });
+
+        icon.rotation.set(0, 0, 0);
+        icon.userData.billboard = billboard;
+        icon.add(content);
+        this.applySoftwareMaterials(icon);
+    }
+
+    // config.softwareShowcase opacity and wireframe on everything in an icon except its text label
+    applySoftwareMaterials(icon) {
+        const { opacity, wireframe } = this.config.softwareShowcase;
+
+        icon.traverse((node) => {
+            if (!node.material || node.userData.isLabel) return;
+
+            [].concat(node.material).forEach((material) => {
+                material.transparent = true;
+                material.opacity = opacity;
+                material.wireframe = wireframe;
+            });
         });
     }
 
@@ -341,48 +868,129 @@ class Advanced3DEffects {
 
         const textGeometry = new THREE.PlaneGeometry(0.8, 0.8);
         const textMesh = new THREE.Mesh(textGeometry, material);
+        textMesh.userData.isLabel = true;
         textMesh.position.z = 0.51;
         mesh.add(textMesh);
     }
 
+    // Canvas 2D version of the showcase for visitors without WebGL: the same logos laid out
+    // in a responsive grid, drawn at the screen's density and highlighted like the 3D icons
     createSoftware2DFallback(canvas) {
         const ctx = canvas.getContext('2d');
         if (!ctx) return;
 
-        const softwareData = [
-            { name: 'Pr', color: '#9A3FFF', x: 100, y: 150 },
-            { name: 'Ae', color: '#CF3FFF', x: 200, y: 100 },
-            { name: 'DV', color: '#FF3F3F', x: 300, y: 180 },
-            { name: 'Bl', color: '#FF7F3F', x: 400, y: 120 },
-            { name: 'FCP', color: '#3F3F3F', x: 500, y: 160 },
-            { name: 'C4D', color: '#3F7FFF', x: 150, y: 80 }
-        ];
+        const icons = Advanced3DEffects.SOFTWARE_TOOLS.map((software) => {
+            const image = new Image();
+            image.src = software.logo;
 
-        const animate2D = () => {
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            
-            const time = Date.now() * 0.001;
-            
-            softwareData.forEach((software, index) => {
-                const offset = Math.sin(time + index) * 10;
-                const x = software.x + offset;
-                const y = software.y + Math.cos(time + index) * 5;
-                
-                // Draw software icon
-                ctx.fillStyle = software.color;
-                ctx.fillRect(x - 25, y - 25, 50, 50);
-                
-                // Draw text
+            return {
+                name: software.name,
+                label: software.label,
+                color: `#${software.color.toString(16).padStart(6, '0')}`,
+                image,
+                x: 0,
+                y: 0,
+                size: 0,
+                scale: 1,
+                drawX: 0,
+                drawY: 0
+            };
+        });
+
+        this.software2D = { canvas, ctx, icons, width: 0, height: 0 };
+        this.layoutSoftware2D();
+        this.scheduleAnimation('software-2d', () => this.drawSoftware2D(), canvas);
+    }
+
+    // Size the backing store to the container and the device pixel ratio, then grid the icons
+    layoutSoftware2D() {
+        const { canvas, ctx, icons } = this.software2D;
+        const rect = canvas.getBoundingClientRect();
+        const pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+
+        canvas.width = Math.round(rect.width * pixelRatio);
+        canvas.height = Math.round(rect.height * pixelRatio);
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+        this.software2D.width = rect.width;
+        this.software2D.height = rect.height;
+
+        const columns = rect.width < 480 ? 3 : icons.length;
+        const rows = Math.ceil(icons.length / columns);
+        const cellWidth = rect.width / columns;
+        const cellHeight = rect.height / rows;
+        const size = Math.min(cellWidth, cellHeight) * 0.6;
+
+        icons.forEach((icon, index) => {
+            const column = index % columns;
+            icon.x = cellWidth * (column + 0.5);
+            icon.y = cellHeight * (Math.floor(index / columns) + 0.5);
+            icon.size = size;
+
+            // Stagger a single row so it doesn't read as a toolbar
+            if (rows === 1) {
+                icon.y += (column % 2 ? 0.12 : -0.12) * cellHeight;
+            }
+        });
+    }
+
+    drawSoftware2D() {
+        const { ctx, icons, width, height } = this.software2D;
+        const time = Date.now() * 0.001;
+        const { hoverScale, opacity } = this.config.softwareShowcase;
+
+        ctx.clearRect(0, 0, width, height);
+
+        icons.forEach((icon, index) => {
+            const highlighted = icon.name === this.highlightedSoftware;
+            icon.scale += ((highlighted ? hoverScale : 1) - icon.scale) * 0.2;
+
+            icon.drawX = icon.x + Math.sin(time + index) * icon.size * 0.08;
+            icon.drawY = icon.y + Math.cos(time * 1.3 + index) * icon.size * 0.06;
+
+            const size = icon.size * icon.scale;
+            const left = icon.drawX - size / 2;
+            const top = icon.drawY - size / 2;
+
+            ctx.save();
+            ctx.globalAlpha = opacity;
+
+            if (highlighted) {
+                ctx.shadowColor = 'rgba(189, 72, 91, 0.8)';
+                ctx.shadowBlur = 24;
+            }
+
+            if (icon.image.complete && icon.image.naturalWidth) {
+                ctx.drawImage(icon.image, left, top, size, size);
+            } else {
+                // Same coloured tile as the 3D fallback cube until (or unless) the logo loads
+                ctx.fillStyle = icon.color;
+                ctx.beginPath();
+                if (ctx.roundRect) {
+                    ctx.roundRect(left, top, size, size, size * 0.2);
+                } else {
+                    ctx.rect(left, top, size, size);
+                }
+                ctx.fill();
+
+                ctx.shadowBlur = 0;
                 ctx.fillStyle = 'white';
-                ctx.font = '16px Arial';
+                ctx.font = `bold ${Math.round(size * 0.3)}px Arial`;
                 ctx.textAlign = 'center';
-                ctx.fillText(software.name, x, y + 5);
-            });
-            
-            requestAnimationFrame(animate2D);
-        };
-        
-        animate2D();
+                ctx.textBaseline = 'middle';
+                ctx.fillText(icon.name, icon.drawX, icon.drawY);
+            }
+
+            ctx.restore();
+        });
+    }
+
+    // Topmost 2D icon under a point in CSS pixels
+    pickSoftware2D(x, y) {
+        return this.software2D.icons.slice().reverse().find((icon) => {
+            const half = (icon.size * icon.scale) / 2;
+            return Math.abs(x - icon.drawX) <= half && Math.abs(y - icon.drawY) <= half;
+        }) || null;
     }
 
     createParticleEffects() {
@@ -418,102 +1026,140 @@ class Advanced3DEffects {
         }
     }
 
+    // Each scene is a task on the shared frame scheduler, capped at performance.maxFPS and,
+    // with pauseWhenNotVisible, paused while its canvas is off-screen or the tab is hidden
     startAnimationLoop() {
-        const animate = () => {
-            // Animate floating elements
-            const floatingScene = this.scenes.get('floating');
-            const floatingCamera = this.cameras.get('floating');
-            const floatingRenderer = this.renderers.get('floating');
-
-            if (floatingScene && floatingCamera && floatingRenderer) {
-                floatingScene.children.forEach((child) => {
-                    if (child.userData.originalPosition) {
-                        const time = Date.now() * child.userData.speed;
-                        child.position.y = child.userData.originalPosition.y + Math.sin(time) * child.userData.amplitude;
-                        child.rotation.x += child.userData.rotationSpeed;
-                        child.rotation.y += child.userData.rotationSpeed * 0.7;
-
-                        // Mouse interaction
-                        const mouseInfluence = this.config.floatingElements.mouseInfluence;
-                        child.position.x = child.userData.originalPosition.x + this.mouse.x * mouseInfluence;
-                        child.position.z = child.userData.originalPosition.z + this.mouse.y * mouseInfluence;
-                        
-                        // Scale pulse effect if enabled
-                        if (this.config.floatingElements.scalePulse) {
-                            const pulseScale = 1 + Math.sin(time * 2) * 0.1;
-                            child.scale.set(pulseScale, pulseScale, pulseScale);
-                        }
-                    }
-                });
+        if (this.scenes.has('floating')) {
+            this.scheduleAnimation('floating-3d', () => this.animateFloatingScene(), this.renderers.get('floating').domElement);
+        }
+
+        if (this.scenes.has('software')) {
+            this.scheduleAnimation('software-3d', (time, elapsed) => this.animateSoftwareScene(elapsed), this.renderers.get('software').domElement);
+        }
+    }
+
+    scheduleAnimation(name, callback, element) {
+        const { maxFPS, pauseWhenNotVisible } = this.config.performance;
+        const task = FrameScheduler.add(name, callback, {
+            maxFPS,
+            element: pauseWhenNotVisible ? element : null,
+            pauseWhenHidden: pauseWhenNotVisible
+        });
 
-                // Camera movement based on mouse
-                floatingCamera.position.x = this.mouse.x * 0.5;
-                floatingCamera.position.y = this.mouse.y * 0.5;
-                floatingCamera.lookAt(0, 0, 0);
+        if (this.animationPaused) task.pause();
+        this.animationFrames.set(name, task);
+    }
 
-                floatingRenderer.render(floatingScene, floatingCamera);
+    animateFloatingScene() {
+        const floatingScene = this.scenes.get('floating');
+        const floatingCamera = this.cameras.get('floating');
+        const floatingRenderer = this.renderers.get('floating');
+
+        floatingScene.children.forEach((child) => {
+            if (child.userData.originalPosition) {
+                const time = Date.now() * child.userData.speed;
+                child.position.y = child.userData.originalPosition.y + Math.sin(time) * child.userData.amplitude;
+                child.rotation.x += child.userData.rotationSpeed;
+                child.rotation.y += child.userData.rotationSpeed * 0.7;
+
+                // Mouse interaction
+                const mouseInfluence = this.config.floatingElements.mouseInfluence;
+                child.position.x = child.userData.originalPosition.x + this.mouse.x * mouseInfluence;
+                child.position.z = child.userData.originalPosition.z + this.mouse.y * mouseInfluence;
+                
+                // Scale pulse effect if enabled
+                if (this.config.floatingElements.scalePulse) {
+                    const pulseScale = 1 + Math.sin(time * 2) * 0.1;
+                    child.scale.set(pulseScale, pulseScale, pulseScale);
+                }
             }
+        });
 
-            // Animate software showcase
-            const softwareScene = this.scenes.get('software');
-            const softwareCamera = this.cameras.get('software');
-            const softwareRenderer = this.renderers.get('software');
-
-            if (softwareScene && softwareCamera && softwareRenderer) {
-                softwareScene.children.forEach((child) => {
-                    if (child.userData.originalPosition) {
-                        const time = Date.now() * child.userData.floatSpeed;
-                        child.position.y = child.userData.originalPosition.y + Math.sin(time) * 0.3;
-                        child.rotation.x += child.userData.rotationSpeed;
-                        child.rotation.y += child.userData.rotationSpeed * 1.2;
-                    }
-                });
+        // Camera movement based on mouse
+        floatingCamera.position.x = this.mouse.x * 0.5;
+        floatingCamera.position.y = this.mouse.y * 0.5;
+        floatingCamera.lookAt(0, 0, 0);
+
+        floatingRenderer.render(floatingScene, floatingCamera);
+    }
 
-                // Camera orbit
-                const time = Date.now() * 0.0005;
-                softwareCamera.position.x = Math.cos(time) * 8;
-                softwareCamera.position.z = Math.sin(time) * 8;
-                softwareCamera.lookAt(0, 0, 0);
+    // Speeds come from config.softwareShowcase on every frame.
+    // floatSpeed and orbitSpeed are radians per millisecond; phases advance by the time since the
+    // last frame, so changing a speed doesn't make the icons jump.
+    animateSoftwareScene(elapsed = 0) {
+        const softwareScene = this.scenes.get('software');
+        const softwareCamera = this.cameras.get('software');
+        const softwareRenderer = this.renderers.get('software');
+        const { floatAmplitude, floatSpeed, rotationSpeed, cameraOrbit, orbitSpeed } = this.config.softwareShowcase;
 
-                softwareRenderer.render(softwareScene, softwareCamera);
+        softwareScene.children.forEach((child) => {
+            if (child.userData.originalPosition) {
+                const { speedFactor } = child.userData;
+                child.userData.phase += floatSpeed * speedFactor * elapsed;
+                child.position.y = child.userData.originalPosition.y + Math.sin(child.userData.phase) * floatAmplitude;
+
+                if (child.userData.billboard) {
+                    // Logo cards sway gently instead of spinning so the artwork stays readable
+                    child.lookAt(softwareCamera.position);
+                    child.rotateY(Math.sin(child.userData.phase) * 0.35);
+                } else {
+                    child.rotation.x += rotationSpeed * speedFactor;
+                    child.rotation.y += rotationSpeed * speedFactor * 1.2;
+                }
             }
+        });
 
-            requestAnimationFrame(animate);
-        };
+        // Camera orbit; with cameraOrbit off the camera stays where the orbit left it
+        if (cameraOrbit) {
+            this.softwareOrbit = (this.softwareOrbit || 0) + orbitSpeed * elapsed;
+            softwareCamera.position.x = Math.cos(this.softwareOrbit) * 8;
+            softwareCamera.position.z = Math.sin(this.softwareOrbit) * 8;
+            softwareCamera.lookAt(0, 0, 0);
+        }
 
-        animate();
+        softwareRenderer.render(softwareScene, softwareCamera);
     }
 
     // Interactive methods
     onSoftwareCardHover(softwareName) {
+        this.highlightedSoftware = softwareName;
+
         const softwareScene = this.scenes.get('software');
         if (!softwareScene) return;
 
         softwareScene.children.forEach((child) => {
             if (child.userData.name === softwareName) {
                 // Highlight the corresponding 3D object
-                if (child.material && child.material.emissive) {
-                    child.material.emissive.setHex(0x444444);
-                }
-                child.scale.set(1.2, 1.2, 1.2);
-            } else {
-                if (child.material && child.material.emissive) {
-                    child.material.emissive.setHex(0x000000);
-                }
+                const { hoverScale } = this.config.softwareShowcase;
+                this.setSoftwareEmissive(child, 0x444444);
+                child.scale.set(hoverScale, hoverScale, hoverScale);
+            } else if (child.userData.name) {
+                this.setSoftwareEmissive(child, 0x000000);
                 child.scale.set(1, 1, 1);
             }
         });
     }
 
     onSoftwareCardLeave() {
+        this.highlightedSoftware = null;
+
         const softwareScene = this.scenes.get('software');
         if (!softwareScene) return;
 
         softwareScene.children.forEach((child) => {
-            if (child.material && child.material.emissive) {
-                child.material.emissive.setHex(0x000000);
+            if (child.userData.name) {
+                this.setSoftwareEmissive(child, 0x000000);
+                child.scale.set(1, 1, 1);
+            }
+        });
+    }
+
+    // Icons are groups (cube, model or card), so tint every lit material inside them
+    setSoftwareEmissive(icon, hex) {
+        icon.traverse((node) => {
+            if (node.material && node.material.emissive) {
+                node.material.emissive.setHex(hex);
             }
-            child.scale.set(1, 1, 1);
         });
     }
 
@@ -540,71 +1186,71 @@ class Advanced3DEffects {
             softwareCamera.updateProjectionMatrix();
             softwareRenderer.setSize(rect.width, rect.height);
         }
+
+        if (this.software2D) {
+            this.layoutSoftware2D();
+        }
     }
 
     // ===== CONTROL METHODS FOR CUSTOMIZATION =====
     
+    // Set one numeric floating element setting and update the meshes, without logging;
+    // the public setters below and preset transitions go through here
+    setFloatingValue(name, value) {
+        const settings = this.config.floatingElements;
+        settings[name] = Advanced3DEffects.clampSetting(name, value);
+
+        const floatingScene = this.scenes.get('floating');
+        if (!floatingScene) return;
+
+        floatingScene.children.forEach((child) => {
+            if (name === 'opacity') {
+                if (child.material && child.material.transparent) {
+                    child.material.opacity = settings.opacity;
+                }
+            } else if (child.userData.originalPosition) {
+                if (name === 'bounceHeight') child.userData.amplitude = settings.bounceHeight;
+                if (name === 'bounceSpeed') child.userData.speed = settings.bounceSpeed + (child.userData.speedOffset || 0);
+                if (name === 'rotationSpeed') child.userData.rotationSpeed = settings.rotationSpeed;
+            }
+        });
+    }
+
+    // Boolean counterpart of setFloatingValue
+    setFloatingFlag(name, value) {
+        this.config.floatingElements[name] = value;
+
+        const floatingScene = this.scenes.get('floating');
+        if (name !== 'wireframe' || !floatingScene) return;
+
+        floatingScene.children.forEach((child) => {
+            if (child.material) {
+                child.material.wireframe = value;
+            }
+        });
+    }
+
     // Set bounce height for floating elements
     setBounceHeight(height) {
-        this.config.floatingElements.bounceHeight = Math.max(0, Math.min(2, height));
-        
-        const floatingScene = this.scenes.get('floating');
-        if (floatingScene) {
-            floatingScene.children.forEach((child) => {
-                if (child.userData.originalPosition) {
-                    child.userData.amplitude = this.config.floatingElements.bounceHeight;
-                }
-            });
-        }
-        
+        this.setFloatingValue('bounceHeight', height);
         console.log(`Bounce height set to: ${this.config.floatingElements.bounceHeight}`);
     }
     
     // Set bounce speed for floating elements
     setBounceSpeed(speed) {
-        this.config.floatingElements.bounceSpeed = Math.max(0.01, Math.min(0.1, speed));
-        
-        const floatingScene = this.scenes.get('floating');
-        if (floatingScene) {
-            floatingScene.children.forEach((child) => {
-                if (child.userData.originalPosition) {
-                    child.userData.speed = this.config.floatingElements.bounceSpeed + Math.random() * 0.01;
-                }
-            });
-        }
-        
+        this.setFloatingValue('bounceSpeed', speed);
         console.log(`Bounce speed set to: ${this.config.floatingElements.bounceSpeed}`);
     }
     
     // Set opacity for all floating elements
     setElementOpacity(opacity) {
-        this.config.floatingElements.opacity = Math.max(0, Math.min(1, opacity));
-        
-        const floatingScene = this.scenes.get('floating');
-        if (floatingScene) {
-            floatingScene.children.forEach((child) => {
-                if (child.material && child.material.transparent) {
-                    child.material.opacity = this.config.floatingElements.opacity;
-                }
-            });
-        }
-        
+        this.setFloatingValue('opacity', opacity);
         console.log(`Element opacity set to: ${this.config.floatingElements.opacity}`);
     }
     
     // Toggle wireframe mode
     toggleWireframe() {
-        this.config.floatingElements.wireframe = !this.config.floatingElements.wireframe;
-        
-        const floatingScene = this.scenes.get('floating');
-        if (floatingScene) {
-            floatingScene.children.forEach((child) => {
-                if (child.material) {
-                    child.material.wireframe = this.config.floatingElements.wireframe;
-                }
-            });
-        }
-        
+        this.setFloatingFlag('wireframe', !this.config.floatingElements.wireframe);
         console.log(`Wireframe mode: ${this.config.floatingElements.wireframe ? 'ON' : 'OFF'}`);
     }
     
@@ -617,12 +1263,14 @@ class Advanced3DEffects {
     // Pause all animations
     pauseAnimations() {
         this.animationPaused = true;
+        this.animationFrames.forEach((task) => task.pause());
         console.log('3D Animations paused');
     }
     
     // Resume all animations
     resumeAnimations() {
         this.animationPaused = false;
+        this.animationFrames.forEach((task) => task.resume());
         console.log('3D Animations resumed');
     }
     
@@ -640,95 +1288,366 @@ class Advanced3DEffects {
     
     // Set mouse influence strength
     setMouseInfluence(influence) {
-        this.config.floatingElements.mouseInfluence = Math.max(0, Math.min(2, influence));
+        this.setFloatingValue('mouseInfluence', influence);
         console.log(`Mouse influence set to: ${this.config.floatingElements.mouseInfluence}`);
     }
     
     // Set rotation speed
     setRotationSpeed(speed) {
-        this.config.floatingElements.rotationSpeed = Math.max(0, Math.min(0.05, speed));
-        
-        const floatingScene = this.scenes.get('floating');
-        if (floatingScene) {
-            floatingScene.children.forEach((child) => {
-                if (child.userData.originalPosition) {
-                    child.userData.rotationSpeed = this.config.floatingElements.rotationSpeed;
-                }
-            });
-        }
-        
+        this.setFloatingValue('rotationSpeed', speed);
         console.log(`Rotation speed set to: ${this.config.floatingElements.rotationSpeed}`);
     }
     
-    // Apply predefined presets
-    applyPreset(presetName) {
-        const presets = {
-            subtle: {
-                bounceHeight: 0.2,
-                bounceSpeed: 0.015,
-                rotationSpeed: 0.005,
-                opacity: 0.4,
-                mouseInfluence: 0.2,
-                scalePulse: false
-            },
-            normal: {
-                bounceHeight: 0.5,
-                bounceSpeed: 0.02,
-                rotationSpeed: 0.01,
-                opacity: 0.7,
-                mouseInfluence: 0.5,
-                scalePulse: false
-            },
-            energetic: {
-                bounceHeight: 1.0,
-                bounceSpeed: 0.04,
-                rotationSpeed: 0.025,
-                opacity: 0.9,
-                mouseInfluence: 1.0,
-                scalePulse: true
-            },
-            minimal: {
-                bounceHeight: 0.1,
-                bounceSpeed: 0.01,
-                rotationSpeed: 0.002,
-                opacity: 0.3,
-                mouseInfluence: 0.1,
-                scalePulse: false
+    // Switch to a registered preset, easing into it over presetDuration ms (or options.duration).
+    // Resolves once the transition is done.
+    applyPreset(presetName, { duration = this.config.floatingElements.presetDuration } = {}) {
+        const preset = Advanced3DEffects.PRESETS[presetName];
+        if (!preset) {
+            console.warn(`Unknown 3D preset "${presetName}"`);
+            return Promise.resolve();
+        }
+
+        console.log(`Applied preset: ${presetName}`);
+        return this.transitionTo(preset, duration);
+    }
+
+    // Tween numeric settings and colours from their current values; switches flip at the start.
+    // A new transition takes over from wherever the previous one had got to.
+    transitionTo(settings, duration) {
+        if (this.presetTransition) {
+            this.presetTransition.remove();
+            this.finishTransition();
+        }
+
+        const { wireframe, scalePulse } = settings;
+        this.applySettings({ wireframe, scalePulse });
+
+        const current = this.config.floatingElements;
+        const values = Object.keys(settings)
+            .filter((name) => Advanced3DEffects.SETTINGS[name] && Advanced3DEffects.SETTINGS[name].type === 'number')
+            .map((name) => ({ name, from: current[name], to: settings[name] }));
+
+        const fromColors = current.colors.slice();
+        const toColors = settings.colors;
+
+        const step = (progress) => {
+            // Ease in-out so the mood shifts without a jolt at either end
+            const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+
+            values.forEach(({ name, from, to }) => {
+                this.setFloatingValue(name, from + (to - from) * eased);
+            });
+
+            if (toColors) {
+                this.setElementColors(toColors.map((color, index) =>
+                    Advanced3DEffects.mixColors(fromColors[index % fromColors.length], color, eased)));
             }
         };
-        
-        const preset = presets[presetName];
-        if (preset) {
-            this.setBounceHeight(preset.bounceHeight);
-            this.setBounceSpeed(preset.bounceSpeed);
-            this.setRotationSpeed(preset.rotationSpeed);
-            this.setElementOpacity(preset.opacity);
-            this.setMouseInfluence(preset.mouseInfluence);
-            this.config.floatingElements.scalePulse = preset.scalePulse;
-            
-            console.log(`Applied preset: ${presetName}`);
+
+        return new Promise((resolve) => {
+            // Browsers don't run animation frames in hidden tabs, so a hidden page just jumps there
+            if (!(duration > 0) || !this.scenes.has('floating') || document.hidden) {
+                step(1);
+                resolve();
+                return;
+            }
+
+            const start = performance.now();
+            this.finishTransition = resolve;
+            // Not paused when the tab is hidden mid-transition: the first frame back finishes it
+            this.presetTransition = FrameScheduler.add('preset-transition', (time) => {
+                const progress = Math.min(1, Math.max(0, (time - start) / duration));
+                step(progress);
+
+                if (progress === 1) {
+                    this.presetTransition.remove();
+                    this.presetTransition = null;
+                    resolve();
+                }
+            }, { pauseWhenHidden: false });
+        });
+    }
+
+    // ===== SAVED AND SHARED SETTINGS =====
+
+    // The tunable floating element values, as saved and as written to share links
+    getSettings() {
+        const settings = {};
+        Object.keys(Advanced3DEffects.SETTINGS).forEach((name) => {
+            settings[name] = this.config.floatingElements[name];
+        });
+        return settings;
+    }
+
+    applySettings(settings) {
+        if (settings.bounceHeight !== undefined) this.setBounceHeight(settings.bounceHeight);
+        if (settings.bounceSpeed !== undefined) this.setBounceSpeed(settings.bounceSpeed);
+        if (settings.rotationSpeed !== undefined) this.setRotationSpeed(settings.rotationSpeed);
+        if (settings.opacity !== undefined) this.setElementOpacity(settings.opacity);
+        if (settings.mouseInfluence !== undefined) this.setMouseInfluence(settings.mouseInfluence);
+        if (settings.scalePulse !== undefined) this.config.floatingElements.scalePulse = settings.scalePulse;
+        if (settings.wireframe !== undefined && settings.wireframe !== this.config.floatingElements.wireframe) {
+            this.toggleWireframe();
+        }
+    }
+
+    // Saved settings, overridden by URL parameters; applied to the config before any scene is built.
+    // Settings from a shared link are shown but not saved, so they don't replace the visitor's own.
+    restoreSettings() {
+        this.defaultSettings = this.getSettings();
+
+        const saved = Advanced3DEffects.expandSettings(Advanced3DEffects.savedSettings());
+        const shared = Advanced3DEffects.expandSettings(Advanced3DEffects.settingsFromURL(window.location.search));
+
+        Object.assign(this.config.floatingElements, saved, shared);
+        this.hasOwnSettings = Object.keys(saved).length > 0 || Object.keys(shared).length > 0;
+
+        // Meshes are built with their own colours, so a preset's colours are applied afterwards
+        this.restoredColors = shared.colors || null;
+    }
+
+    saveSettings() {
+        this.hasOwnSettings = true;
+
+        try {
+            localStorage.setItem(Advanced3DEffects.STORAGE_KEY, JSON.stringify(this.getSettings()));
+        } catch (error) {
+            // The settings simply won't be remembered
+        }
+    }
+
+    // Forget saved settings and go back to the page's defaults
+    resetSettings() {
+        try {
+            localStorage.removeItem(Advanced3DEffects.STORAGE_KEY);
+        } catch (error) {
+            // Nothing was saved
+        }
+
+        this.applySettings(this.defaultSettings);
+        this.hasOwnSettings = false;
+    }
+
+    // A link to this page that reproduces the current look
+    getShareURL() {
+        const url = new URL(window.location.href);
+        const settings = this.getSettings();
+
+        url.searchParams.delete('preset');
+        Object.keys(settings).forEach((name) => {
+            url.searchParams.set(name, String(settings[name]));
+        });
+
+        return url.toString();
+    }
+
+    static clampSetting(name, value) {
+        const { min, max } = Advanced3DEffects.SETTINGS[name];
+        return Math.max(min, Math.min(max, value));
+    }
+
+    // Only known settings with valid values survive; numbers are clamped to their range
+    static normalizeSettings(values) {
+        const settings = {};
+
+        Object.keys(Advanced3DEffects.SETTINGS).forEach((name) => {
+            const value = values[name];
+            if (value === undefined || value === null || value === '') return;
+
+            if (Advanced3DEffects.SETTINGS[name].type === 'boolean') {
+                if (typeof value === 'boolean') {
+                    settings[name] = value;
+                } else if (['true', '1', 'on'].includes(String(value))) {
+                    settings[name] = true;
+                } else if (['false', '0', 'off'].includes(String(value))) {
+                    settings[name] = false;
+                }
+            } else {
+                const number = Number(value);
+                if (Number.isFinite(number)) {
+                    settings[name] = Advanced3DEffects.clampSetting(name, number);
+                }
+            }
+        });
+
+        if (Advanced3DEffects.PRESETS[values.preset]) {
+            settings.preset = values.preset;
+        }
+
+        return settings;
+    }
+
+    // A preset's values with any explicit values laid over them
+    static expandSettings(settings) {
+        const { preset, ...values } = settings;
+        return { ...(Advanced3DEffects.PRESETS[preset] || {}), ...values };
+    }
+
+    static savedSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(Advanced3DEffects.STORAGE_KEY));
+            return saved && typeof saved === 'object' ? Advanced3DEffects.normalizeSettings(saved) : {};
+        } catch (error) {
+            // Storage unavailable or holding something unreadable
+            return {};
+        }
+    }
+
+    // e.g. ?preset=energetic&opacity=0.6
+    static settingsFromURL(search) {
+        const params = new URLSearchParams(search);
+        const values = {};
+
+        params.forEach((value, name) => {
+            values[name] = value;
+        });
+
+        return Advanced3DEffects.normalizeSettings(values);
+    }
+    
+    // Cap the frame rate of every scene
+    setMaxFPS(fps) {
+        this.config.performance.maxFPS = Math.max(0, fps);
+        this.animationFrames.forEach((task) => task.setMaxFPS(this.config.performance.maxFPS));
+    }
+
+    // Set any config value by path (e.g. 'scrollTransitions.duration'), applying it right away.
+    // Values without a setter are read from the config as the effects run, except the ones only
+    // used while the scenes are built (see TuningPanel.STARTUP_ONLY).
+    setConfigValue(path, value) {
+        const keys = path.split('.');
+        const [group, name] = keys;
+
+        // Sliders send a value on every input event, so use the setters' silent paths
+        if (group === 'floatingElements' && Advanced3DEffects.SETTINGS[name]) {
+            if (Advanced3DEffects.SETTINGS[name].type === 'boolean') {
+                this.setFloatingFlag(name, Boolean(value));
+            } else {
+                this.setFloatingValue(name, Number(value));
+            }
+            this.saveSettings();
+            return;
+        }
+
+        if (path === 'performance.maxFPS') {
+            this.setMaxFPS(value);
+            return;
+        }
+
+        // The panel sends the easing as it is typed; keep the last complete one
+        if (path === 'scrollTransitions.easing' && !Advanced3DEffects.easingCurve(value)) {
+            return;
+        }
+
+        if (path === 'floatingElements.colors') {
+            this.setElementColors(Advanced3DEffects.normalizeColors(value));
+            this.hasOwnSettings = true;
+            return;
+        }
+
+        const parent = keys.slice(0, -1).reduce((node, key) => node[key], this.config);
+        parent[keys[keys.length - 1]] = value;
+
+        // Materials hold their own copies of these
+        if (path === 'softwareShowcase.opacity' || path === 'softwareShowcase.wireframe') {
+            const softwareScene = this.scenes.get('software');
+            if (softwareScene) {
+                softwareScene.children
+                    .filter((child) => child.userData.name)
+                    .forEach((icon) => this.applySoftwareMaterials(icon));
+            }
         }
     }
     
     // Change element colors
     changeElementColors(colorArray) {
+        if (Array.isArray(colorArray)) {
+            this.setElementColors(Advanced3DEffects.normalizeColors(colorArray));
+            this.hasOwnSettings = true;
+            console.log('Element colors updated');
+        }
+    }
+
+    setElementColors(colors) {
+        this.config.floatingElements.colors = colors;
+
         const floatingScene = this.scenes.get('floating');
-        if (floatingScene && Array.isArray(colorArray)) {
+        if (floatingScene) {
             floatingScene.children.forEach((child, index) => {
-                if (child.material && colorArray[index % colorArray.length]) {
-                    child.material.color.setHex(colorArray[index % colorArray.length]);
+                if (child.material && child.material.color) {
+                    child.material.color.setHex(colors[index % colors.length]);
                 }
             });
-            
-            console.log('Element colors updated');
         }
     }
+
+    // ===== PRESET REGISTRY =====
+
+    // Add or replace a named preset; any setting can be left out, colors is an array of
+    // hex numbers or '#rrggbb' strings for changeElementColors()
+    static registerPreset(name, settings) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Preset name must be a non-empty string');
+        }
+
+        const { preset, ...values } = Advanced3DEffects.normalizeSettings(settings);
+        if (settings.colors !== undefined) {
+            values.colors = Advanced3DEffects.normalizeColors(settings.colors);
+        }
+
+        Advanced3DEffects.PRESETS[name] = values;
+        return values;
+    }
+
+    static removePreset(name) {
+        return delete Advanced3DEffects.PRESETS[name];
+    }
+
+    static listPresets() {
+        return Object.keys(Advanced3DEffects.PRESETS);
+    }
+
+    static normalizeColors(colors) {
+        if (!Array.isArray(colors) || colors.length === 0) {
+            throw new Error('Colors must be a non-empty array');
+        }
+
+        return colors.map((color) => {
+            const value = typeof color === 'string' ? parseInt(color.replace(/^#/, ''), 16) : color;
+            if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFF) {
+                throw new Error(`Invalid colour ${color}`);
+            }
+            return value;
+        });
+    }
+
+    // Blend two hex colours channel by channel
+    static mixColors(from, to, amount) {
+        return [16, 8, 0].reduce((color, shift) => {
+            const a = (from >> shift) & 0xFF;
+            const b = (to >> shift) & 0xFF;
+            return color | (Math.round(a + (b - a) * amount) << shift);
+        }, 0);
+    }
     
     // Destroy method for cleanup
     destroy() {
-        this.animationFrames.forEach((frame) => {
-            cancelAnimationFrame(frame);
+        this.animationFrames.forEach((task) => {
+            task.remove();
         });
+
+        if (this.presetTransition) {
+            this.presetTransition.remove();
+        }
+
+        if (this.scrollTransition) {
+            this.scrollTransition.remove();
+            this.unlockScroll();
+        }
+
+        if (this.sectionPresetObserver) {
+            this.sectionPresetObserver.disconnect();
+        }
         
         this.renderers.forEach((renderer) => {
             renderer.dispose();
@@ -745,6 +1664,90 @@ class Advanced3DEffects {
     }
 }
 
+// Floating element settings that can be saved and shared, with their allowed ranges
+Advanced3DEffects.SETTINGS = {
+    bounceHeight: { type: 'number', min: 0, max: 2 },
+    bounceSpeed: { type: 'number', min: 0.01, max: 0.1 },
+    rotationSpeed: { type: 'number', min: 0, max: 0.05 },
+    opacity: { type: 'number', min: 0, max: 1 },
+    mouseInfluence: { type: 'number', min: 0, max: 2 },
+    wireframe: { type: 'boolean' },
+    scalePulse: { type: 'boolean' }
+};
+
+Advanced3DEffects.PRESETS = {
+    subtle: {
+        bounceHeight: 0.2,
+        bounceSpeed: 0.015,
+        rotationSpeed: 0.005,
+        opacity: 0.4,
+        mouseInfluence: 0.2,
+        scalePulse: false,
+        colors: [0x667eea, 0x764ba2, 0xf093fb]
+    },
+    normal: {
+        bounceHeight: 0.5,
+        bounceSpeed: 0.02,
+        rotationSpeed: 0.01,
+        opacity: 0.7,
+        mouseInfluence: 0.5,
+        scalePulse: false,
+        colors: [0x667eea, 0xbd485b, 0xf1d7ff]
+    },
+    energetic: {
+        bounceHeight: 1.0,
+        bounceSpeed: 0.04,
+        rotationSpeed: 0.025,
+        opacity: 0.9,
+        mouseInfluence: 1.0,
+        scalePulse: true,
+        colors: [0xbd485b, 0xff9a00, 0xf093fb]
+    },
+    minimal: {
+        bounceHeight: 0.1,
+        bounceSpeed: 0.01,
+        rotationSpeed: 0.002,
+        opacity: 0.3,
+        mouseInfluence: 0.1,
+        scalePulse: false,
+        colors: [0x6b7280, 0xd1d5db, 0xf1d7ff]
+    }
+};
+
+Advanced3DEffects.STORAGE_KEY = 'portfolio-3d-settings';
+
+// Keys that move between sections, and their direction (Shift+Space goes up)
+Advanced3DEffects.SCROLL_KEYS = {
+    PageDown: 1,
+    PageUp: -1,
+    ArrowDown: 1,
+    ArrowUp: -1,
+    ' ': 1
+};
+
+// Easing keywords and their cubic-bezier() control points
+Advanced3DEffects.EASINGS = {
+    linear: [0, 0, 1, 1],
+    ease: [0.25, 0.1, 0.25, 1],
+    'ease-in': [0.42, 0, 1, 1],
+    'ease-out': [0, 0, 0.58, 1],
+    'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+// ms the wheel has to be quiet before it can start another transition
+Advanced3DEffects.WHEEL_SETTLE = 200;
+
+// Tools shown in the software showcase, in both the 3D scene and the 2D fallback.
+// Give an entry a model property (the path of a .glb file) to show a glTF model for that tool in 3D.
+Advanced3DEffects.SOFTWARE_TOOLS = [
+    { name: 'Ps', label: 'Adobe Photoshop', logo: 'images/lg_1.png', color: 0x31A8FF, position: { x: -4, y: 2, z: 0 } },
+    { name: 'Lr', label: 'Adobe Lightroom', logo: 'images/lightroom.png', color: 0x31C5F0, position: { x: -2, y: -1, z: 1 } },
+    { name: 'Ae', label: 'Adobe After Effects', logo: 'images/aftereffect.png', color: 0xCF3FFF, position: { x: 0, y: 1.5, z: -1 } },
+    { name: 'Ai', label: 'Adobe Illustrator', logo: 'images/lg_4.png', color: 0xFF9A00, position: { x: 2, y: -0.5, z: 0.5 } },
+    { name: 'DV', label: 'DaVinci Resolve', logo: 'images/davinci.png', color: 0xFF3F3F, position: { x: 4, y: 1, z: -0.5 } },
+    { name: 'CC', label: 'CapCut', logo: 'images/lg_6.png', color: 0x3F3F3F, position: { x: -1, y: -2, z: 0 } }
+];
+
 /**
  * Enhanced Scroll Effects Component
  * Handles advanced parallax scrolling, reveal animations, and scroll-triggered effects
@@ -771,7 +1774,7 @@ class EnhancedScrollEffects {
             this.scrollY = window.scrollY;
             
             if (!this.ticking) {
-                requestAnimationFrame(() => {
+                FrameScheduler.once(() => {
                     this.updateParallax();
                     this.updateRevealAnimations();
                     this.ticking = false;
@@ -865,44 +1868,113 @@ class InteractiveVideoGallery {
         this.currentVideoIndex = 0;
         this.videos = [];
         this.mainVideo = null;
+        this.activeTag = null;
+        this.showsManifestInfo = false;
+        this.videoObserver = null;
         this.init();
     }
 
     init() {
-        this.setupVideoData();
         this.initMainVideo();
-        this.initVideoItems();
         this.initGalleryNavigation();
+
+        // Thumbnails are rendered from the shared video manifest
+        this.setupVideoData()
+            .then(() => {
+                this.renderVideoItems();
+                this.initVideoItems();
+                this.initVideoAnimations();
+                this.renderTagFilter();
+                this.initTagFilters();
+                this.renderVideoTags(this.videos[this.currentVideoIndex]);
+                this.renderRelatedVideos();
+
+                document.addEventListener('languagechange', () => this.localize());
+            })
+            .catch((error) => {
+                console.warn('Failed to load video manifest:', error);
+            });
+    }
+
+    // Re-render everything drawn from the manifest in the active language
+    localize() {
+        this.renderVideoItems();
+        this.initVideoItems();
         this.initVideoAnimations();
+        this.renderTagFilter();
+        this.renderVideoTags(this.videos[this.currentVideoIndex]);
+        this.renderRelatedVideos();
+        this.filterByTag(this.activeTag);
+
+        if (this.showsManifestInfo) {
+            this.renderMainVideoInfo(this.videos[this.currentVideoIndex]);
+        }
     }
 
     setupVideoData() {
-        this.videos = [
-            {
-                src: 'assets/videos/1.mp4',
-                title: 'Commercial Project',
-                description: 'Brand storytelling with dynamic cuts and transitions',
-                tags: ['Commercial', 'Branding', 'Storytelling']
-            },
-            {
-                src: 'assets/videos/2.mp4',
-                title: 'Music Video',
-                description: 'Creative visual effects synchronized with beat',
-                tags: ['Music Video', 'VFX', 'Rhythm']
-            },
-            {
-                src: 'assets/videos/3.mp4',
-                title: 'Documentary',
-                description: 'Emotional storytelling with careful pacing',
-                tags: ['Documentary', 'Narrative', 'Emotion']
-            },
-            {
-                src: 'assets/videos/4.mp4',
-                title: 'Motion Graphics',
-                description: 'Abstract animations and kinetic typography',
-                tags: ['Motion Graphics', 'Animation', 'Typography']
-            }
-        ];
+        if (typeof VideoManifest === 'undefined') {
+            return Promise.reject(new Error('VideoManifest is not loaded'));
+        }
+
+        const container = document.querySelector('.scroll-container .flex');
+        const source = container && container.dataset.videoManifest;
+
+        return Promise.all([VideoManifest.load(source || undefined), I18n.ready]).then(([manifest]) => {
+            this.videos = manifest.videos;
+
+            // Start from whichever manifest entry the main player already shows
+            const source = this.mainVideo && this.mainVideo.querySelector('source');
+            const playing = source ? source.getAttribute('src') : null;
+            this.currentVideoIndex = Math.max(0, this.videos.findIndex((video) => video.src === playing));
+            this.updateModalTrigger();
+        });
+    }
+
+    // The expand button opens whichever video the main player shows (see js/video-modal.js)
+    updateModalTrigger() {
+        const trigger = document.querySelector('.main-video-expand');
+        const video = this.videos[this.currentVideoIndex];
+        if (trigger && video) trigger.dataset.videoId = video.id;
+    }
+
+    renderVideoItems() {
+        const container = document.querySelector('.scroll-container .flex');
+        if (!container) return;
+
+        container.innerHTML = html`${this.videos.map((video) => this.renderVideoItem(video))}`;
+
+        // Let other modules attach their effects to the new thumbnails
+        document.dispatchEvent(new CustomEvent('videogallery:render', {
+            detail: { items: container.querySelectorAll('.video-item') }
+        }));
+    }
+
+    renderVideoItem(entry) {
+        const video = I18n.localize(entry);
+
+        return html`
+            <div class="video-item flex-shrink-0 w-80 md:w-96 group cursor-pointer" data-video-id="${video.id}" data-video="${video.src}" data-title="${video.title}" data-description="${video.description}">
+                <div class="relative overflow-hidden rounded-xl bg-gray-texture shadow-lg group-hover:shadow-2xl transition-all duration-500">
+                    <video class="w-full h-48 object-cover group-hover:scale-105 transition-transform duration-500" muted preload="metadata" poster="${video.poster}">
+                        <source src="${video.src}" type="video/mp4">
+                    </video>
+                    <div class="absolute inset-0 bg-gradient-to-t from-black/50 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300">
+                        <div class="absolute inset-0 flex items-center justify-center">
+                            <div class="w-12 h-12 bg-white/20 backdrop-blur-sm rounded-full flex items-center justify-center">
+                                <svg class="w-5 h-5 text-[#f1d7ff] ml-0.5" fill="currentColor" viewBox="0 0 24 24">
+                                    <path d="M8 5v14l11-7z"/>
+                                </svg>
+                            </div>
+                        </div>
+                    </div>
+                    <span class="absolute top-4 right-4 text-xs text-[#f1d7ff] bg-black/40 px-2 py-1 rounded-full">${VideoManifest.formatDuration(video.duration)}</span>
+                    <div class="absolute bottom-4 left-4 right-4 text-[#f1d7ff]">
+                        <h4 class="text-lg font-medium">${video.title}</h4>
+                        <p class="text-sm opacity-80 truncate">${video.description}</p>
+                    </div>
+                </div>
+            </div>
+        `;
     }
 
     initMainVideo() {
@@ -933,6 +2005,12 @@ class InteractiveVideoGallery {
             const playButton = document.querySelector('.play-button');
             if (playButton) playButton.style.opacity = '1';
         });
+
+        // The modal plays the same video; don't play it twice
+        const expandButton = document.querySelector('.main-video-expand');
+        if (expandButton) {
+            expandButton.addEventListener('click', () => this.mainVideo.pause());
+        }
     }
 
     initVideoItems() {
@@ -941,7 +2019,8 @@ class InteractiveVideoGallery {
         videoItems.forEach((item, index) => {
             // Add click handler to change main video
             item.addEventListener('click', () => {
-                this.changeMainVideo(index);
+                const videoIndex = this.videos.findIndex((video) => video.id === item.dataset.videoId);
+                this.changeMainVideo(videoIndex === -1 ? index : videoIndex);
             });
 
             // Add hover effects
@@ -992,20 +2071,23 @@ class InteractiveVideoGallery {
     }
 
     initVideoAnimations() {
-        // Animate video items on scroll
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach((entry) => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('animate');
-                }
+        // Animate video items on scroll; the observer is reused when the items are re-rendered
+        if (!this.videoObserver) {
+            this.videoObserver = new IntersectionObserver((entries) => {
+                entries.forEach((entry) => {
+                    if (entry.isIntersecting) {
+                        entry.target.classList.add('animate');
+                    }
+                });
+            }, {
+                threshold: 0.1,
+                rootMargin: '50px'
             });
-        }, {
-            threshold: 0.1,
-            rootMargin: '50px'
-        });
+        }
 
+        this.videoObserver.disconnect();
         document.querySelectorAll('.video-item').forEach((item) => {
-            observer.observe(item);
+            this.videoObserver.observe(item);
         });
     }
 
@@ -1016,27 +2098,155 @@ class InteractiveVideoGallery {
         const source = this.mainVideo.querySelector('source');
         if (source) {
             source.src = this.videos[index].src;
+            this.mainVideo.poster = this.videos[index].poster || '';
             this.mainVideo.load();
         }
 
-        // Update video info
+        this.renderMainVideoInfo(this.videos[index]);
+        this.currentVideoIndex = index;
+        this.updateModalTrigger();
+        this.renderVideoTags(this.videos[index]);
+        this.renderRelatedVideos();
+    }
+
+    renderMainVideoInfo(entry) {
         const videoInfo = document.querySelector('.main-video-container .absolute.bottom-6');
-        if (videoInfo) {
-            const title = videoInfo.querySelector('h4');
-            const description = videoInfo.querySelector('p');
-            const tags = videoInfo.querySelector('.flex.items-center');
+        if (!videoInfo) return;
 
-            if (title) title.textContent = this.videos[index].title;
-            if (description) description.textContent = this.videos[index].description;
-            
-            if (tags) {
-                tags.innerHTML = this.videos[index].tags.map(tag => 
-                    `<span class="text-sm bg-white/20 px-3 py-1 rounded-full">${tag}</span>`
-                ).join('');
+        const video = I18n.localize(entry);
+        const title = videoInfo.querySelector('h4');
+        const description = videoInfo.querySelector('p');
+
+        // The info now comes from the manifest rather than the static placeholder messages
+        [title, description].forEach((element) => element && element.removeAttribute('data-i18n'));
+        if (title) title.textContent = video.title;
+        if (description) description.textContent = video.description;
+
+        this.showsManifestInfo = true;
+    }
+
+    // Display label for a canonical tag; data-tag attributes always keep the canonical value
+    tagLabel(tag) {
+        return I18n.localizeValue(this.videos, 'tags', tag);
+    }
+
+    // Tags under the main player double as filter buttons
+    renderVideoTags(video) {
+        const tags = document.querySelector('.main-video-container .absolute.bottom-6 .flex.items-center');
+        if (!tags || !video) return;
+
+        tags.innerHTML = html`${video.tags.map(tag =>
+            html`<button type="button" class="video-tag text-sm bg-white/20 px-3 py-1 rounded-full hover:bg-white/40 transition-colors duration-300" data-tag="${tag}" aria-pressed="${tag === this.activeTag}">${this.tagLabel(tag)}</button>`
+        )}`;
+    }
+
+    // Every tag in the manifest, most used first
+    getAllTags() {
+        const counts = new Map();
+        this.videos.forEach((video) => {
+            video.tags.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+
+        return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+    }
+
+    renderTagFilter() {
+        const filter = document.querySelector('.video-tag-filter');
+        if (!filter) return;
+
+        filter.innerHTML = html`${[
+            html`<button type="button" class="video-tag-all text-sm text-[#f1d7ff] bg-white/10 px-4 py-1 rounded-full hover:bg-white/20 transition-colors duration-300" aria-pressed="${this.activeTag === null}">${I18n.t('videos.all')}</button>`,
+            ...this.getAllTags().map(tag =>
+                html`<button type="button" class="video-tag text-sm text-[#f1d7ff] bg-white/10 px-4 py-1 rounded-full hover:bg-white/20 transition-colors duration-300" data-tag="${tag}" aria-pressed="${tag === this.activeTag}">${this.tagLabel(tag)}</button>`
+            )
+        ]}`;
+    }
+
+    initTagFilters() {
+        const gallery = document.getElementById('video-gallery');
+        if (!gallery) return;
+
+        gallery.addEventListener('click', (e) => {
+            const tagButton = e.target.closest('.video-tag');
+            if (tagButton) {
+                // Clicking the active tag again clears the filter
+                this.filterByTag(tagButton.dataset.tag === this.activeTag ? null : tagButton.dataset.tag);
+                return;
             }
+
+            if (e.target.closest('.video-tag-all')) {
+                this.filterByTag(null);
+                return;
+            }
+
+            const related = e.target.closest('.related-video');
+            if (related) {
+                this.changeMainVideo(this.videos.findIndex((video) => video.id === related.dataset.videoId));
+            }
+        });
+    }
+
+    // Narrow the thumbnails to videos carrying the tag, or show them all for null
+    filterByTag(tag) {
+        this.activeTag = tag;
+
+        document.querySelectorAll('.scroll-container .video-item').forEach((item) => {
+            const video = this.videos.find((entry) => entry.id === item.dataset.videoId);
+            item.hidden = Boolean(tag) && !(video && video.tags.includes(tag));
+        });
+
+        document.querySelectorAll('#video-gallery .video-tag').forEach((button) => {
+            button.setAttribute('aria-pressed', String(button.dataset.tag === tag));
+            button.classList.toggle('bg-white/40', button.dataset.tag === tag);
+        });
+
+        const allButton = document.querySelector('.video-tag-all');
+        if (allButton) {
+            allButton.setAttribute('aria-pressed', String(tag === null));
+            allButton.classList.toggle('bg-white/40', tag === null);
         }
 
-        this.currentVideoIndex = index;
+        // Start the narrowed list from the beginning and refresh the navigation buttons
+        const scrollContainer = document.querySelector('.scroll-container .flex');
+        if (scrollContainer) {
+            scrollContainer.scrollLeft = 0;
+            scrollContainer.dispatchEvent(new Event('scroll'));
+        }
+    }
+
+    // Other videos ranked by how many tags they share with the given one
+    getRelatedVideos(video, limit = 3) {
+        return this.videos
+            .filter((entry) => entry !== video)
+            .map((entry, order) => ({
+                entry,
+                order,
+                shared: entry.tags.filter((tag) => video.tags.includes(tag)).length
+            }))
+            .filter(({ shared }) => shared > 0)
+            .sort((a, b) => b.shared - a.shared || a.order - b.order)
+            .slice(0, limit)
+            .map(({ entry }) => entry);
+    }
+
+    renderRelatedVideos() {
+        const container = document.querySelector('.related-videos');
+        const current = this.videos[this.currentVideoIndex];
+        if (!container || !current) return;
+
+        const related = this.getRelatedVideos(current);
+        container.hidden = related.length === 0;
+
+        const list = container.querySelector('.related-videos-list');
+        list.innerHTML = html`${related.map((video) => html`
+            <button type="button" class="related-video group flex items-center gap-3 text-left text-[#f1d7ff] bg-white/5 hover:bg-white/10 rounded-xl p-2 transition-colors duration-300" data-video-id="${video.id}">
+                <img src="${video.poster}" alt="" class="w-24 h-14 object-cover rounded-lg" loading="lazy">
+                <span class="flex flex-col">
+                    <span class="text-sm font-medium">${I18n.localize(video).title}</span>
+                    <span class="text-xs opacity-70">${video.tags.filter((tag) => current.tags.includes(tag)).map((tag) => this.tagLabel(tag)).join(' · ')}</span>
+                </span>
+            </button>
+        `)}`;
     }
 }
 
@@ -1124,9 +2334,16 @@ class EnhancedCursorStalker {
 
 // Initialize all enhanced components when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
+    // Hold the preloader (when the page has one) until the scenes below are built
+    const setupTask = typeof PreloaderTasks !== 'undefined'
+        ? PreloaderTasks.register('advanced-3d', { label: 'preloader.settingUp3d', weight: 3 })
+        : null;
+
     // Wait for other components to load
     setTimeout(() => {
         window.advanced3DEffects = new Advanced3DEffects();
+        if (setupTask) setupTask.done();
+        document.dispatchEvent(new CustomEvent('advanced3d:ready'));
         window.enhancedScrollEffects = new EnhancedScrollEffects();
         window.interactiveVideoGallery = new InteractiveVideoGallery();
         window.enhancedCursorStalker = new EnhancedCursorStalker();
@@ -1143,6 +2360,14 @@ document.addEventListener('DOMContentLoaded', () => {
             card.addEventListener('mouseleave', () => {
                 window.advanced3DEffects.onSoftwareCardLeave();
             });
+
+            const toggle = card.querySelector('.software-card-toggle');
+            if (toggle) {
+                toggle.addEventListener('click', () => {
+                    const expanded = toggle.getAttribute('aria-expanded') === 'true';
+                    window.advanced3DEffects.setSoftwareCardExpanded(card, !expanded);
+                });
+            }
         });
 
         // Setup resize handler
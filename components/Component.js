@@ -0,0 +1,124 @@
+/**
+ * Component
+ * Base class for the page components. Subclasses implement render() and bind their
+ * behaviour in onMount() through listen() and addCleanup(), so that unmount() and
+ * destroy() can take back everything the component added.
+ *
+ *   const header = new Header({ basePath: '' });
+ *   header.mount(container);                            // render and append to container
+ *   header.hydrate(document.getElementById('header'));  // adopt prerendered markup instead
+ *   header.update({ basePath: 'index.html' });          // re-render in place
+ *   header.unmount();                                   // remove markup and listeners, can mount again
+ *   header.destroy();                                   // unmount for good
+ */
+class Component {
+    constructor(props = {}) {
+        this.props = props;
+        this.element = null;
+        this.mounted = false;
+        this.destroyed = false;
+        this.cleanups = [];
+    }
+
+    render() {
+        return '';
+    }
+
+    // Lifecycle hooks for subclasses
+    onMount() {}
+
+    onUnmount() {}
+
+    // Render the component and append it to target
+    mount(target) {
+        this.assertUsable();
+        if (this.mounted) this.unmount();
+
+        this.element = Component.createElement(this.render());
+        target.appendChild(this.element);
+        this.attach();
+        return this;
+    }
+
+    // Take over markup that is already in the page, e.g. from scripts/prerender.js
+    hydrate(element) {
+        this.assertUsable();
+        if (this.mounted) this.unmount();
+
+        this.element = element;
+        this.attach();
+        return this;
+    }
+
+    // Merge new props and re-render in place, rebinding listeners to the new markup
+    update(props = {}) {
+        this.assertUsable();
+        this.props = { ...this.props, ...props };
+        if (!this.mounted) return this;
+
+        const previous = this.element;
+        this.detach();
+        this.element = Component.createElement(this.render());
+        previous.replaceWith(this.element);
+        this.attach();
+        return this;
+    }
+
+    unmount() {
+        if (!this.mounted) return this;
+
+        this.detach();
+        this.element.remove();
+        this.element = null;
+        return this;
+    }
+
+    destroy() {
+        this.unmount();
+        this.destroyed = true;
+    }
+
+    // Add an event listener that is removed again on unmount
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.addCleanup(() => target.removeEventListener(type, handler, options));
+    }
+
+    // Register teardown work (observers, timers) to run on unmount
+    addCleanup(cleanup) {
+        this.cleanups.push(cleanup);
+    }
+
+    attach() {
+        this.mounted = true;
+        this.onMount();
+    }
+
+    detach() {
+        this.onUnmount();
+        this.cleanups.splice(0).reverse().forEach(cleanup => cleanup());
+        this.mounted = false;
+    }
+
+    assertUsable() {
+        if (this.destroyed) {
+            throw new Error(`${this.constructor.name} has been destroyed`);
+        }
+    }
+
+    static createElement(markup) {
+        const template = document.createElement('template');
+        template.innerHTML = String(markup).trim();
+
+        if (template.content.childElementCount !== 1) {
+            throw new Error('Component render() must return a single root element');
+        }
+
+        return template.content.firstElementChild;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Component;
+}
@@ -0,0 +1,195 @@
+/**
+ * Dialog
+ * Shared modal behaviour for the project modal, the video modal and the menu:
+ * dialog ARIA attributes, a focus trap, inert background content, body scroll
+ * locking without layout shift, Escape handling and focus return on close.
+ *
+ *   const dialog = new Dialog(element, { labelledBy: 'title-id', onRequestClose: () => close() });
+ *   dialog.open(triggerButton);   // trigger gets aria-expanded="true" and focus back on close
+ *   dialog.close();               // removes every listener open() added
+ *
+ * Escape calls onRequestClose, so callers that do more than hide the element
+ * (history, animations) stay in charge of closing; without it Escape calls close().
+ */
+class Dialog {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = options;
+        this.isOpen = false;
+        this.trigger = null;
+        this.inerted = [];
+        this.cleanups = [];
+    }
+
+    open(trigger = document.activeElement) {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        this.trigger = trigger instanceof HTMLElement && trigger !== document.body ? trigger : null;
+
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        if (this.options.labelledBy) {
+            this.element.setAttribute('aria-labelledby', this.options.labelledBy);
+        } else if (this.options.label) {
+            this.element.setAttribute('aria-label', this.options.label);
+        }
+        if (!this.element.hasAttribute('tabindex')) {
+            this.element.setAttribute('tabindex', '-1');
+        }
+
+        if (this.trigger && this.trigger.hasAttribute('aria-controls')) {
+            this.trigger.setAttribute('aria-expanded', 'true');
+        }
+
+        Dialog.stack.push(this);
+        this.setInert();
+        Dialog.lockScroll();
+
+        this.listen(document, 'keydown', (e) => this.handleKeydown(e));
+        this.listen(document, 'focusin', (e) => {
+            // Pull focus back if something outside still managed to take it
+            if (this.isTopmost() && !this.element.contains(e.target)) {
+                this.focusFirst();
+            }
+        });
+
+        this.focusFirst();
+    }
+
+    close({ returnFocus = true } = {}) {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+
+        this.cleanups.splice(0).reverse().forEach(cleanup => cleanup());
+        this.restoreInert();
+        Dialog.unlockScroll();
+        Dialog.stack = Dialog.stack.filter(dialog => dialog !== this);
+
+        if (this.trigger && this.trigger.hasAttribute('aria-controls')) {
+            this.trigger.setAttribute('aria-expanded', 'false');
+        }
+
+        if (returnFocus && this.trigger && this.trigger.isConnected) {
+            this.trigger.focus({ preventScroll: true });
+        }
+    }
+
+    handleKeydown(e) {
+        if (!this.isTopmost()) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            if (this.options.onRequestClose) {
+                this.options.onRequestClose();
+            } else {
+                this.close();
+            }
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const focusable = this.getFocusable();
+        if (focusable.length === 0) {
+            e.preventDefault();
+            this.element.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (e.shiftKey && (active === first || !this.element.contains(active))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || !this.element.contains(active))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    getFocusable() {
+        return Array.from(this.element.querySelectorAll(Dialog.FOCUSABLE))
+            .filter(element => !element.hidden && element.getClientRects().length > 0);
+    }
+
+    focusFirst() {
+        const target = this.options.initialFocus
+            ? this.element.querySelector(this.options.initialFocus)
+            : this.getFocusable()[0];
+
+        (target || this.element).focus({ preventScroll: true });
+    }
+
+    isTopmost() {
+        return Dialog.stack[Dialog.stack.length - 1] === this;
+    }
+
+    // Make everything beside the dialog inert, remembering what was already inert
+    setInert() {
+        let root = this.element;
+        while (root.parentElement && root.parentElement !== document.body) {
+            root = root.parentElement;
+        }
+
+        this.inerted = Array.from(document.body.children).filter(element =>
+            element !== root && !element.hasAttribute('inert') && element.tagName !== 'SCRIPT'
+        );
+        this.inerted.forEach(element => element.setAttribute('inert', ''));
+    }
+
+    restoreInert() {
+        this.inerted.forEach(element => element.removeAttribute('inert'));
+        this.inerted = [];
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanups.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    // Nested dialogs share one lock; the scrollbar width is padded back so the page does not shift
+    static lockScroll() {
+        if (Dialog.scrollLocks++ > 0) return;
+
+        const body = document.body;
+        const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+
+        Dialog.savedBodyStyle = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+        body.style.overflow = 'hidden';
+
+        if (scrollbarWidth > 0) {
+            const paddingRight = parseFloat(window.getComputedStyle(body).paddingRight) || 0;
+            body.style.paddingRight = `${paddingRight + scrollbarWidth}px`;
+        }
+    }
+
+    static unlockScroll() {
+        if (Dialog.scrollLocks === 0 || --Dialog.scrollLocks > 0) return;
+
+        document.body.style.overflow = Dialog.savedBodyStyle.overflow;
+        document.body.style.paddingRight = Dialog.savedBodyStyle.paddingRight;
+    }
+}
+
+Dialog.FOCUSABLE = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'video[controls]',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Open dialogs, topmost last
+Dialog.stack = [];
+
+Dialog.scrollLocks = 0;
+Dialog.savedBodyStyle = null;
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Dialog;
+}
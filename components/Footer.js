@@ -1,14 +1,10 @@
-class Footer {
-    constructor() {
-        this.init();
-    }
-
-    init() {
+class Footer extends Component {
+    onMount() {
         this.setupBackToTop();
     }
 
     render() {
-        return `
+        return html`
             <div id="footer-wrapper" class="relative mt-20">
                 <footer id="footer" class="relative w-full overflow-hidden text-pampas bg-mine-shaft-texture">
                     <div class="container px-5 pt-16 md:px-20 md:pt-24">
@@ -17,29 +13,29 @@ class Footer {
                                 <span class="absolute -top-4 left-1/2 h-[6px] w-[6px] -translate-x-1/2">
                                     <span class="block h-0.375 w-0.375 rounded-full bg-taupe-gray transition-transform group-hover:scale-125"></span>
                                 </span>
-                                <a href="#home" class="ts-text-link text-xl leading-none vertical-rl text-silver-chalice" data-vertical="rl">
-                                    Home
+                                <a href="${this.props.basePath || ''}#home" class="ts-text-link text-xl leading-none vertical-rl text-silver-chalice" data-vertical="rl">
+                                    ${I18n.t('nav.home')}
                                 </a>
                             </li>
                             <li class="relative flex flex-col items-center">
-                                <a href="#about" class="ts-text-link text-xl leading-none vertical-rl" data-vertical="rl">
-                                    About
+                                <a href="${this.props.basePath || ''}#about" class="ts-text-link text-xl leading-none vertical-rl" data-vertical="rl">
+                                    ${I18n.t('nav.about')}
                                 </a>
                             </li>
                             <li class="relative flex flex-col items-center">
-                                <a href="#works" class="ts-text-link text-xl leading-none vertical-rl" data-vertical="rl">
-                                    Works
+                                <a href="${this.props.basePath || ''}#works" class="ts-text-link text-xl leading-none vertical-rl" data-vertical="rl">
+                                    ${I18n.t('nav.works')}
                                 </a>
                             </li>
                             <li class="relative flex flex-col items-center">
-                                <a href="#contact" class="ts-text-link text-xl leading-none vertical-rl" data-vertical="rl">
-                                    Contact
+                                <a href="${this.props.basePath || ''}#contact" class="ts-text-link text-xl leading-none vertical-rl" data-vertical="rl">
+                                    ${I18n.t('nav.contact')}
                                 </a>
                             </li>
                         </ul>
 
                         <div class="mt-20 hidden justify-end md:flex">
-                            <a href="#home" class="ts-text-link ts-anchor font-serif-en text-lg">BACK TO TOP</a>
+                            <a href="#home" class="ts-text-link ts-anchor font-serif-en text-lg">${I18n.t('footer.backToTop')}</a>
                         </div>
 
                         <ul class="mt-12 flex flex-wrap items-center justify-center gap-x-7 gap-y-4 border-t border-emperor pt-10 font-serif-en md:mt-6 md:justify-between md:gap-8">
@@ -64,7 +60,7 @@ class Footer {
                     <!-- Large GET IN CONTACT Text -->
                     <div class="mt-9 pb-5 md:mt-10">
                         <div class="contact">
-                            <a href="mailto:taaaaiki.mode@gmail.com?subject=Contact" target="_blank" class="group flex flex-nowrap whitespace-nowrap" aria-label="GET IN CONTACT">
+                            <a href="mailto:taaaaiki.mode@gmail.com?subject=Contact" target="_blank" class="group flex flex-nowrap whitespace-nowrap" aria-label="${I18n.t('footer.getInContact')}">
                                 <span class="mx-8 block md:mx-9">
                                     <svg xmlns="http://www.w3.org/2000/svg" version="1.1" viewBox="0 0 1855 172" class="h-[100px] fill-taupe-gray transition-all duration-700 group-hover:fill-transparent group-hover:stroke-taupe-gray md:h-[172px]">
                                         <g>
@@ -88,7 +84,7 @@ class Footer {
     }
 
     setupBackToTop() {
-        document.addEventListener('click', (e) => {
+        this.listen(this.element, 'click', (e) => {
             if (e.target.closest('.ts-anchor')) {
                 e.preventDefault();
                 window.scrollTo({
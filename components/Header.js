@@ -1,55 +1,75 @@
-class Header {
-    constructor() {
+class Header extends Component {
+    constructor(props) {
+        super(props);
         this.currentSection = 'home';
-        this.init();
+        this.currentTheme = Header.DEFAULT_THEME;
     }
 
-    init() {
+    onMount() {
         this.setupScrollSpy();
         this.setupSmoothScroll();
+        this.setupLanguageSwitcher();
+        this.setupThemeToggle();
+        this.updateActiveNavLink(this.currentSection, this.element.querySelectorAll('.nav-link'));
+        this.applySectionTheme(this.currentTheme);
     }
 
     render() {
-        return `
+        return html`
             <header id="header" class="fixed left-0 top-0 z-30 w-screen transition-all duration-300" data-color="dark" data-mix-blend-mode="true">
                 <div class="container flex items-start px-5 py-5 md:px-20 md:py-10">
-                    <a href="#home" class="ts-logo transition-all hover:opacity-30" aria-label="HASSAM TAHIR">
+                    <a href="${this.props.basePath || ''}#home" class="ts-logo transition-all hover:opacity-30" aria-label="HASSAM TAHIR">
                         <p class="h-auto text-3xl md:text-5xl md:w-[180px]">HASSAM TAHIR</p>
                     </a>
 
                     <!-- Desktop Navigation -->
                     <ul class="ts-header-list ml-auto hidden max-h-[22.2rem] gap-8 transition-colors ease-in-out md:flex">
                         <li class="relative">
-                            <a href="#contact" class="ts-text-link text-2xl vertical-rl md:text-lg nav-link" data-section="contact" data-vertical="rl">
-                                Contact
+                            <a href="${this.props.basePath || ''}#contact" class="ts-text-link text-2xl vertical-rl md:text-lg nav-link" data-section="contact" data-vertical="rl">
+                                ${I18n.t('nav.contact')}
                             </a>
                         </li>
                         <li class="relative">
-                            <a href="#works" class="ts-text-link text-2xl vertical-rl md:text-lg nav-link" data-section="works" data-vertical="rl">
-                                Works
+                            <a href="${this.props.basePath || ''}#works" class="ts-text-link text-2xl vertical-rl md:text-lg nav-link" data-section="works" data-vertical="rl">
+                                ${I18n.t('nav.works')}
                             </a>
                         </li>
                         <li class="relative">
-                            <a href="#about" class="ts-text-link text-2xl vertical-rl md:text-lg nav-link" data-section="about" data-vertical="rl">
-                                About
+                            <a href="${this.props.basePath || ''}#about" class="ts-text-link text-2xl vertical-rl md:text-lg nav-link" data-section="about" data-vertical="rl">
+                                ${I18n.t('nav.about')}
                             </a>
                         </li>
                     </ul>
 
-                    <!-- Menu Button -->
-                    <button class="ts-menu-open border-silver ml-auto md:ml-14 hover:bg-mine-shaft hover:text-pampas text-black font-serif-en border rounded-30 md:pt-[6px] md:pb-[5px] md:px-4 pt-[4px] pb-[3px] px-[12px] flex gap-2 items-center group transition duration-700"
+                    <!-- Language Switcher -->
+                    <ul class="ts-language-switcher ml-auto md:ml-14 flex items-center gap-2 font-serif-en text-sm md:pt-[6px] pt-[4px]" aria-label="${I18n.t('language.label')}">
+                        ${I18n.SUPPORTED_LANGUAGES.map(language => html`
+                            <li>
+                                <a href="?lang=${language}" hreflang="${language}" lang="${language}" class="ts-language-link transition-opacity hover:opacity-100 ${language === I18n.language ? 'opacity-100 underline' : 'opacity-50'}" data-language="${language}" ${language === I18n.language ? html`aria-current="true"` : ''} aria-label="${I18n.t(`language.${language}`)}">${language.toUpperCase()}</a>
+                            </li>
+                        `)}
+                    </ul>
+
+                    <!-- Colour Scheme Toggle (state is synced from js/theme.js on mount) -->
+                    <button type="button" class="ts-theme-toggle ml-4 md:ml-6 font-serif-en text-sm uppercase md:pt-[6px] pt-[4px] opacity-50 transition-opacity hover:opacity-100" aria-pressed="false" aria-label="${I18n.t('theme.label')}">
+                        ${I18n.t('theme.dark')}
+                    </button>
+
+                    <!-- Menu Button (links to #menu so it also opens without JavaScript) -->
+                    <a href="#menu" role="button" aria-controls="menu" aria-expanded="false" class="ts-menu-open border-silver ml-4 md:ml-8 hover:bg-mine-shaft hover:text-pampas text-black font-serif-en border rounded-30 md:pt-[6px] md:pb-[5px] md:px-4 pt-[4px] pb-[3px] px-[12px] flex gap-2 items-center group transition duration-700"
                         data-color="dark">
-                        <span class="inline-block">MENU</span>
+                        <span class="inline-block">${I18n.t('nav.menu')}</span>
                         <span class="block h-0.375 w-0.375 rounded-full bg-taupe-gray transition-transform group-hover:scale-125"></span>
-                    </button>
+                    </a>
                 </div>
             </header>
         `;
     }
 
+    // Sections with an id drive the nav links; any section can declare data-theme="dark|bright"
     setupScrollSpy() {
-        const sections = document.querySelectorAll('section[id]');
-        const navLinks = document.querySelectorAll('.nav-link');
+        const sections = document.querySelectorAll('section[id], section[data-theme]');
+        const navLinks = this.element.querySelectorAll('.nav-link');
 
         const observerOptions = {
             threshold: 0.3,
@@ -60,8 +80,11 @@ class Header {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     const sectionId = entry.target.id;
-                    this.updateActiveNavLink(sectionId, navLinks);
-                    this.updateBackgroundColor(sectionId);
+                    if (sectionId) {
+                        this.currentSection = sectionId;
+                        this.updateActiveNavLink(sectionId, navLinks);
+                    }
+                    this.updateBackgroundColor(entry.target);
                 }
             });
         }, observerOptions);
@@ -69,6 +92,8 @@ class Header {
         sections.forEach(section => {
             observer.observe(section);
         });
+
+        this.addCleanup(() => observer.disconnect());
     }
 
     updateActiveNavLink(activeSection, navLinks) {
@@ -85,30 +110,63 @@ class Header {
     }
 
     updateBackgroundColor(section) {
+        const theme = section.dataset.theme;
+        this.applySectionTheme(Header.SECTION_THEMES.includes(theme) ? theme : Header.DEFAULT_THEME);
+    }
+
+    // The colours behind 'dark' and 'bright' come from the active colour scheme's CSS variables
+    applySectionTheme(color) {
         const bg = document.getElementById('bg');
         const body = document.body;
-        const header = document.getElementById('header');
-        
-        let color = 'dark';
-        if (section === 'about' || section === 'contact') {
-            color = 'bright';
-        }
+        const header = this.element;
 
+        this.currentTheme = color;
         if (bg) bg.setAttribute('data-color', color);
         if (body) body.setAttribute('data-bg-color', color);
         if (header) header.setAttribute('data-color', color);
     }
 
+    setupThemeToggle() {
+        const toggle = this.element.querySelector('.ts-theme-toggle');
+        if (!toggle) return;
+
+        this.listen(toggle, 'click', () => Theme.toggle());
+        this.listen(document, 'colorschemechange', () => this.syncThemeToggle());
+        this.syncThemeToggle();
+    }
+
+    syncThemeToggle() {
+        const toggle = this.element.querySelector('.ts-theme-toggle');
+        const dark = Theme.scheme === 'dark';
+
+        toggle.setAttribute('aria-pressed', String(dark));
+        toggle.classList.toggle('opacity-100', dark);
+        toggle.classList.toggle('underline', dark);
+        toggle.classList.toggle('opacity-50', !dark);
+    }
+
+    setupLanguageSwitcher() {
+        this.listen(this.element, 'click', (e) => {
+            const link = e.target.closest('.ts-language-link');
+            if (!link) return;
+
+            e.preventDefault();
+            I18n.setLanguage(link.dataset.language).catch(error => console.error(error.message));
+        });
+    }
+
     setupSmoothScroll() {
-        document.addEventListener('click', (e) => {
+        this.listen(document, 'click', (e) => {
             const link = e.target.closest('a[href^="#"]');
-            if (link) {
+
+            // Menu toggles are handled by MobileMenu
+            if (link && !link.matches('.ts-menu-open, .ts-menu-close')) {
                 e.preventDefault();
                 const targetId = link.getAttribute('href').substring(1);
                 const targetElement = document.getElementById(targetId);
                 
                 if (targetElement) {
-                    const headerHeight = document.getElementById('header').offsetHeight;
+                    const headerHeight = this.element.offsetHeight;
                     const targetPosition = targetElement.offsetTop - headerHeight;
                     
                     window.scrollTo({
@@ -121,6 +179,10 @@ class Header {
     }
 }
 
+// Section themes a section can declare with data-theme; sections without one count as dark
+Header.SECTION_THEMES = ['dark', 'bright'];
+Header.DEFAULT_THEME = 'dark';
+
 // Export for use
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Header;
@@ -1,37 +1,50 @@
-class MobileMenu {
-    constructor() {
+class MobileMenu extends Component {
+    constructor(props) {
+        super(props);
         this.isOpen = false;
-        this.init();
+        this.hideTimer = null;
     }
 
-    init() {
+    onMount() {
+        this.dialog = new Dialog(this.element, {
+            label: I18n.t('nav.menuLabel'),
+            onRequestClose: () => this.closeMenu()
+        });
         this.setupEventListeners();
     }
 
+    onUnmount() {
+        clearTimeout(this.hideTimer);
+        if (this.isOpen) {
+            this.dialog.close({ returnFocus: false });
+            this.isOpen = false;
+        }
+    }
+
     render() {
-        return `
+        return html`
             <div id="menu" class="menu z-30 h-dvh w-screen bg-mine-shaft-texture hidden fixed top-0 left-0 transform -translate-x-full transition-transform duration-500">
                 <div class="relative flex h-full w-full p-5 md:p-10">
                     <video class="hidden h-full max-w-[50%] items-center md:mr-4 md:flex" webkit-playsinline playsinline muted autoplay loop>
-                        <source src="assets/videos/1.mp4" type="video/mp4">
+                        <source src="videos/1.mp4" type="video/mp4">
                     </video>
 
                     <div class="flex w-full flex-col md:flex-1">
-                        <button class="ts-menu-close text-pampas border-emperor absolute top-5 md:top-10 right-5 md:right-20 hover:bg-pampas hover:text-mine-shaft font-serif-en border rounded-30 md:pt-[6px] md:pb-[5px] md:px-4 pt-[4px] pb-[3px] px-[12px] flex gap-2 items-center group transition duration-700">
-                            <span class="inline-block">CLOSE</span>
+                        <a href="#" role="button" aria-controls="menu" class="ts-menu-close text-pampas border-emperor absolute top-5 md:top-10 right-5 md:right-20 hover:bg-pampas hover:text-mine-shaft font-serif-en border rounded-30 md:pt-[6px] md:pb-[5px] md:px-4 pt-[4px] pb-[3px] px-[12px] flex gap-2 items-center group transition duration-700">
+                            <span class="inline-block">${I18n.t('nav.close')}</span>
                             <span class="block h-0.375 w-0.375 rounded-full bg-taupe-gray transition-transform group-hover:scale-125"></span>
-                        </button>
+                        </a>
 
                         <div class="flex w-full flex-1 flex-col items-center py-10">
                             <div class="flex w-full flex-1 items-center justify-center">
                                 <ul class="flex h-full max-h-22.2 w-full max-w-[85%] flex-row-reverse justify-between md:max-h-[30rem] md:w-auto md:max-w-full md:justify-normal md:gap-12">
                                     <li class="flex leading-none">
-                                        <a href="#home" class="group relative duration-600 vertical-rl hover:opacity-70 menu-nav-link" data-section="home">
+                                        <a href="${this.props.basePath || ''}#home" class="group relative duration-600 vertical-rl hover:opacity-70 menu-nav-link" data-section="home">
                                             <span class="flex flex-row items-center vertical-rl">
                                                 <span class="text-taupe-gray horizontal-tb">
                                                     <span>(01)</span>
                                                 </span>
-                                                <span class="mt-1.42 text-2xl text-pampas md:mt-8 md:text-[2rem]">Home</span>
+                                                <span class="mt-1.42 text-2xl text-pampas md:mt-8 md:text-[2rem]">${I18n.t('nav.home')}</span>
                                                 <span class="mb-0.85 mt-1.14 h-full flex-1 md:mb-4 md:mt-6">
                                                     <span class="block h-full w-[1px] bg-emperor"></span>
                                                 </span>
@@ -42,12 +55,12 @@ class MobileMenu {
                                         </a>
                                     </li>
                                     <li class="flex leading-none">
-                                        <a href="#about" class="group relative duration-600 vertical-rl hover:opacity-70 menu-nav-link" data-section="about">
+                                        <a href="${this.props.basePath || ''}#about" class="group relative duration-600 vertical-rl hover:opacity-70 menu-nav-link" data-section="about">
                                             <span class="flex flex-row items-center vertical-rl">
                                                 <span class="text-taupe-gray horizontal-tb">
                                                     <span>(02)</span>
                                                 </span>
-                                                <span class="mt-1.42 text-2xl text-pampas md:mt-8 md:text-[2rem]">About</span>
+                                                <span class="mt-1.42 text-2xl text-pampas md:mt-8 md:text-[2rem]">${I18n.t('nav.about')}</span>
                                                 <span class="mb-0.85 mt-1.14 h-full flex-1 md:mb-4 md:mt-6">
                                                     <span class="block h-full w-[1px] bg-emperor"></span>
                                                 </span>
@@ -58,12 +71,12 @@ class MobileMenu {
                                         </a>
                                     </li>
                                     <li class="flex leading-none">
-                                        <a href="#works" class="group relative duration-600 vertical-rl hover:opacity-70 menu-nav-link" data-section="works">
+                                        <a href="${this.props.basePath || ''}#works" class="group relative duration-600 vertical-rl hover:opacity-70 menu-nav-link" data-section="works">
                                             <span class="flex flex-row items-center vertical-rl">
                                                 <span class="text-taupe-gray horizontal-tb">
                                                     <span>(03)</span>
                                                 </span>
-                                                <span class="mt-1.42 text-2xl text-pampas md:mt-8 md:text-[2rem]">Works</span>
+                                                <span class="mt-1.42 text-2xl text-pampas md:mt-8 md:text-[2rem]">${I18n.t('nav.works')}</span>
                                                 <span class="mb-0.85 mt-1.14 h-full flex-1 md:mb-4 md:mt-6">
                                                     <span class="block h-full w-[1px] bg-emperor"></span>
                                                 </span>
@@ -74,12 +87,12 @@ class MobileMenu {
                                         </a>
                                     </li>
                                     <li class="flex leading-none">
-                                        <a href="#contact" class="group relative duration-600 vertical-rl hover:opacity-70 menu-nav-link" data-section="contact">
+                                        <a href="${this.props.basePath || ''}#contact" class="group relative duration-600 vertical-rl hover:opacity-70 menu-nav-link" data-section="contact">
                                             <span class="flex flex-row items-center vertical-rl">
                                                 <span class="text-taupe-gray horizontal-tb">
                                                     <span>(04)</span>
                                                 </span>
-                                                <span class="mt-1.42 text-2xl text-pampas md:mt-8 md:text-[2rem]">Contact</span>
+                                                <span class="mt-1.42 text-2xl text-pampas md:mt-8 md:text-[2rem]">${I18n.t('nav.contact')}</span>
                                                 <span class="mb-0.85 mt-1.14 h-full flex-1 md:mb-4 md:mt-6">
                                                     <span class="block h-full w-[1px] bg-emperor"></span>
                                                 </span>
@@ -112,14 +125,18 @@ class MobileMenu {
     }
 
     setupEventListeners() {
-        document.addEventListener('click', (e) => {
+        // The open button lives in the header, so listen on the document
+        this.listen(document, 'click', (e) => {
             // Handle menu open
-            if (e.target.closest('.ts-menu-open')) {
-                this.openMenu();
+            const openButton = e.target.closest('.ts-menu-open');
+            if (openButton) {
+                e.preventDefault();
+                this.openMenu(openButton);
             }
             
             // Handle menu close
             if (e.target.closest('.ts-menu-close')) {
+                e.preventDefault();
                 this.closeMenu();
             }
 
@@ -128,35 +145,34 @@ class MobileMenu {
                 this.closeMenu();
             }
         });
-
-        // Close menu on escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isOpen) {
-                this.closeMenu();
-            }
-        });
     }
 
-    openMenu() {
-        const menu = document.getElementById('menu');
-        if (menu) {
+    openMenu(trigger = document.activeElement) {
+        const menu = this.element;
+        if (menu && !this.isOpen) {
+            clearTimeout(this.hideTimer);
             menu.classList.remove('hidden', '-translate-x-full');
             menu.classList.add('translate-x-0');
-            document.body.style.overflow = 'hidden';
             this.isOpen = true;
+            this.dialog.open(trigger);
         }
     }
 
     closeMenu() {
-        const menu = document.getElementById('menu');
+        const menu = this.element;
         if (menu) {
             menu.classList.add('-translate-x-full');
             menu.classList.remove('translate-x-0');
-            setTimeout(() => {
+            this.hideTimer = setTimeout(() => {
                 menu.classList.add('hidden');
             }, 500);
-            document.body.style.overflow = '';
             this.isOpen = false;
+            this.dialog.close();
+
+            // Drop the no-JavaScript #menu target so the menu does not stay pinned open
+            if (window.location.hash === '#menu') {
+                history.replaceState(null, '', window.location.pathname + window.location.search);
+            }
         }
     }
 }
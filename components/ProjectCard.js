@@ -1,11 +1,15 @@
-class ProjectCard {
+class ProjectCard extends Component {
     constructor(project) {
-        this.project = project;
+        super({ project });
+    }
+
+    get project() {
+        return this.props.project;
     }
 
     render() {
-            return `
-            <li class="ts-image-link image-link group md:contents-right cursor-pointer" data-project-id="${this.project.id}">
+        return html`
+            <li class="ts-image-link image-link group md:contents-right cursor-pointer" data-project-id="${this.project.id}" tabindex="0" aria-haspopup="dialog">
                 <div class="flex flex-col gap-4 border-t border-silver md:flex-row md:gap-16 md:border-none md:pl-[10%] transition-all duration-300 hover:bg-gray-100 hover:bg-opacity-5 p-4 md:p-0 rounded-lg md:rounded-none">
                     <div class="flex md:hidden justify-between pt-3 transition-colors duration-300">
                         <span>(${this.project.number})</span>
@@ -23,7 +27,7 @@ class ProjectCard {
                             <li>${this.project.type}</li>
                         </ul>
                         <ul class="text-gray flex md:flex-col flex-wrap gap-y-2 gap-x-3 leading-none mt-7 md:mt-auto transition-colors duration-300">
-                            ${this.project.services.map(service => `<li>${service}</li>`).join('')}
+                            ${this.project.services.map(service => html`<li>${service}</li>`)}
                         </ul>
                     </div>
                     <picture class="order-1 md:order-2 md:w-75 overflow-hidden rounded-lg">
@@ -34,13 +38,16 @@ class ProjectCard {
         `;
     }
 
-    static createProjectModal(project) {
-        return `
+    // position is { index, total } within the list being browsed; without it the modal has no previous/next controls
+    static createProjectModal(project, position = null) {
+        const hasNeighbours = position && position.total > 1;
+
+        return html`
             <div id="project-modal" class="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-80 backdrop-blur-sm hidden">
                 <div class="bg-white max-w-4xl w-full mx-4 max-h-[90vh] overflow-y-auto rounded-lg shadow-2xl">
                     <div class="relative">
                         <!-- Close Button -->
-                        <button class="project-modal-close absolute top-4 right-4 z-10 bg-black bg-opacity-20 hover:bg-opacity-40 text-white rounded-full p-2 transition-all duration-300">
+                        <button class="project-modal-close absolute top-4 right-4 z-10 bg-black bg-opacity-20 hover:bg-opacity-40 text-white rounded-full p-2 transition-all duration-300" aria-label="${I18n.t('works.closeLabel')}">
                             <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
                             </svg>
@@ -53,48 +60,61 @@ class ProjectCard {
 
                         <!-- Project Content -->
                         <div class="p-6 md:p-8 text-black">
-                            <div class="mb-6">
+                            <div class="mb-6 flex items-center justify-between">
                                 <span class="font-serif-en text-gray text-sm">(${project.number}) / ${project.year}</span>
+                                ${position ? html`
+                                    <span class="project-modal-position font-serif-en text-gray text-sm" aria-live="polite">${position.index + 1} / ${position.total}</span>
+                                ` : ''}
                             </div>
 
-                            <h1 class="text-3xl md:text-4xl font-medium mb-6 leading-tight">
+                            <h1 id="project-modal-title" class="text-3xl md:text-4xl font-medium mb-6 leading-tight">
                                 ${project.title}
                             </h1>
 
                             <div class="grid md:grid-cols-2 gap-8 mb-8">
                                 <div>
-                                    <h3 class="font-serif-en text-sm font-medium mb-3 text-gray uppercase">Project Type</h3>
+                                    <h3 class="font-serif-en text-sm font-medium mb-3 text-gray uppercase">${I18n.t('works.projectType')}</h3>
                                     <p class="text-lg">${project.type}</p>
                                 </div>
 
                                 <div>
-                                    <h3 class="font-serif-en text-sm font-medium mb-3 text-gray uppercase">Services</h3>
+                                    <h3 class="font-serif-en text-sm font-medium mb-3 text-gray uppercase">${I18n.t('works.services')}</h3>
                                     <ul class="space-y-1">
-                                        ${project.services.map(service => `<li>${service}</li>`).join('')}
+                                        ${project.services.map(service => html`<li>${service}</li>`)}
                                     </ul>
                                 </div>
                             </div>
 
                             <div class="space-y-6 text-base md:text-lg leading-relaxed">
                                 <p>${project.description}</p>
-                                ${project.details ? `<p>${project.details}</p>` : ''}
+                                ${project.details ? html`<div class="project-details space-y-6">${sanitizeHTML(project.details)}</div>` : ''}
                             </div>
 
-                            ${project.gallery && project.gallery.length > 0 ? `
+                            ${project.gallery && project.gallery.length > 0 ? html`
                                 <div class="mt-8">
-                                    <h3 class="text-xl font-medium mb-6">Project Gallery</h3>
+                                    <h3 class="text-xl font-medium mb-6">${I18n.t('works.gallery')}</h3>
                                     <div class="grid md:grid-cols-2 gap-4">
-                                        ${project.gallery.map(img => `
-                                            <img src="${img}" alt="${project.title} Gallery" class="w-full object-cover rounded-lg">
-                                        `).join('')}
+                                        ${project.gallery.map(img => html`
+                                            <img src="${img}" alt="${I18n.t('works.galleryImageAlt', { title: project.title })}" class="w-full object-cover rounded-lg">
+                                        `)}
                                     </div>
                                 </div>
                             ` : ''}
 
-                            <div class="mt-8 pt-6 border-t border-gray-200 text-center">
+                            <div class="mt-8 pt-6 border-t border-gray-200 flex items-center ${hasNeighbours ? 'justify-between' : 'justify-center'} gap-4">
+                                ${hasNeighbours ? html`
+                                    <button class="project-modal-prev font-serif-en text-gray hover:text-black transition-colors duration-300" aria-label="${I18n.t('works.previousLabel')}">
+                                        &larr; ${I18n.t('works.previous')}
+                                    </button>
+                                ` : ''}
                                 <button class="project-modal-close bg-black text-white px-8 py-3 rounded-full font-serif-en transition-all duration-300 hover:bg-gray-800">
-                                    Close Project
+                                    ${I18n.t('works.closeProject')}
                                 </button>
+                                ${hasNeighbours ? html`
+                                    <button class="project-modal-next font-serif-en text-gray hover:text-black transition-colors duration-300" aria-label="${I18n.t('works.nextLabel')}">
+                                        ${I18n.t('works.next')} &rarr;
+                                    </button>
+                                ` : ''}
                             </div>
                         </div>
                     </div>
@@ -110,55 +130,215 @@ class ProjectCard {
             if (projectCard) {
                 e.preventDefault();
                 const projectId = projectCard.dataset.projectId;
-                ProjectCard.openModal(projectId);
+                ProjectCard.showProject(projectId);
             }
 
             // Close modal
             if (e.target.closest('.project-modal-close')) {
-                ProjectCard.closeModal();
+                ProjectCard.hideProject();
             }
 
             // Close on backdrop click
             if (e.target.id === 'project-modal') {
-                ProjectCard.closeModal();
+                ProjectCard.hideProject();
+            }
+
+            // Step through projects
+            if (e.target.closest('.project-modal-prev')) {
+                ProjectCard.showAdjacentProject(-1);
+            }
+
+            if (e.target.closest('.project-modal-next')) {
+                ProjectCard.showAdjacentProject(1);
             }
         });
 
-        // Close on escape key
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                ProjectCard.closeModal();
+            // Cards are focusable, so open them from the keyboard too
+            const projectCard = e.target.closest && e.target.closest('.ts-image-link[data-project-id]');
+            if (projectCard && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                ProjectCard.showProject(projectCard.dataset.projectId);
+                return;
             }
+
+            // Step with the arrow keys; Escape is handled by the dialog
+            if (!ProjectCard.currentProjectId) return;
+
+            if (e.key === 'ArrowLeft') {
+                ProjectCard.showAdjacentProject(-1);
+            } else if (e.key === 'ArrowRight') {
+                ProjectCard.showAdjacentProject(1);
+            }
+        });
+
+        // Back/forward and edited hashes open or close the modal to match the URL
+        window.addEventListener('popstate', () => ProjectCard.syncWithLocation());
+        window.addEventListener('hashchange', () => ProjectCard.syncWithLocation());
+
+        // Open a project linked to directly
+        ProjectCard.syncWithLocation();
+    }
+
+    // Routes look like #/works/<project-id>
+    static routeFor(projectId) {
+        return `${ProjectCard.ROUTE_PREFIX}${encodeURIComponent(projectId)}`;
+    }
+
+    static projectIdFromHash(hash) {
+        if (!hash.startsWith(ProjectCard.ROUTE_PREFIX)) return null;
+        return decodeURIComponent(hash.slice(ProjectCard.ROUTE_PREFIX.length)) || null;
+    }
+
+    // Open a project and give it its own history entry
+    static showProject(projectId) {
+        if (ProjectCard.projectIdFromHash(window.location.hash) !== projectId) {
+            history.pushState({ projectModal: true }, '', ProjectCard.routeFor(projectId));
+        }
+        ProjectCard.syncWithLocation();
+    }
+
+    // Close the project and put back the URL the visitor had before opening it
+    static hideProject() {
+        if (history.state && history.state.projectModal) {
+            // popstate closes the modal
+            history.back();
+            return;
+        }
+
+        // Opened from a pasted link, so there is no earlier entry on this page to return to
+        if (ProjectCard.projectIdFromHash(window.location.hash)) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+        ProjectCard.closeModal();
+    }
+
+    // Project ids in the order the visitor sees them, so stepping follows the filtered works list
+    static projectSequence() {
+        const projects = window.portfolioProjects || [];
+        const visibleIds = Array.from(document.querySelectorAll('#works-list [data-project-id]:not([hidden])'))
+            .map(element => element.dataset.projectId);
+
+        // A project opened from a link may be filtered out; fall back to the full list
+        if (visibleIds.includes(ProjectCard.currentProjectId)) {
+            return visibleIds;
+        }
+        return projects.map(project => project.id);
+    }
+
+    // Move to the previous (-1) or next (1) project, wrapping around at the ends
+    static showAdjacentProject(step) {
+        const sequence = ProjectCard.projectSequence();
+        const index = sequence.indexOf(ProjectCard.currentProjectId);
+        if (index === -1 || sequence.length < 2) return;
+
+        const projectId = sequence[(index + step + sequence.length) % sequence.length];
+
+        // Replace rather than push so closing still returns to the page in one step
+        history.replaceState(history.state, '', ProjectCard.routeFor(projectId));
+        ProjectCard.syncWithLocation();
+    }
+
+    static preloadProjectImages(project) {
+        [project.image, ...(project.gallery || [])].forEach(src => {
+            const image = new Image();
+            image.src = src;
         });
     }
 
+    static setupSwipe(modal) {
+        let start = null;
+
+        modal.addEventListener('touchstart', (e) => {
+            start = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+        }, { passive: true });
+
+        modal.addEventListener('touchend', (e) => {
+            if (!start) return;
+
+            const dx = e.changedTouches[0].clientX - start.x;
+            const dy = e.changedTouches[0].clientY - start.y;
+            start = null;
+
+            // Horizontal swipes only, so scrolling the modal content still works
+            if (Math.abs(dx) > ProjectCard.SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy) * 1.5) {
+                ProjectCard.showAdjacentProject(dx < 0 ? 1 : -1);
+            }
+        }, { passive: true });
+    }
+
+    static syncWithLocation() {
+        const projectId = ProjectCard.projectIdFromHash(window.location.hash);
+
+        if (!projectId) {
+            ProjectCard.closeModal();
+            return;
+        }
+
+        if (projectId === ProjectCard.currentProjectId) return;
+
+        if (!ProjectCard.openModal(projectId)) {
+            console.warn(`No project found for ${window.location.hash}`);
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }
+
     static openModal(projectId) {
         // Get project data (you'll need to store this globally or pass it)
         const projects = window.portfolioProjects || [];
         const project = projects.find(p => p.id === projectId);
         
         if (project) {
+            // Stepping between projects keeps focus returning to the card that opened the first one
+            const trigger = ProjectCard.dialog ? ProjectCard.dialog.trigger : document.activeElement;
+            if (ProjectCard.dialog) {
+                ProjectCard.dialog.close({ returnFocus: false });
+            }
+
             // Remove existing modal
             const existingModal = document.getElementById('project-modal');
             if (existingModal) {
                 existingModal.remove();
             }
 
+            ProjectCard.currentProjectId = projectId;
+            const sequence = ProjectCard.projectSequence();
+            const index = sequence.indexOf(projectId);
+
             // Create and append new modal
-            document.body.insertAdjacentHTML('beforeend', ProjectCard.createProjectModal(project));
-            
+            document.body.insertAdjacentHTML('beforeend', ProjectCard.createProjectModal(I18n.localize(project), { index, total: sequence.length }));
+
             // Show modal
             const modal = document.getElementById('project-modal');
             modal.classList.remove('hidden');
-            document.body.style.overflow = 'hidden';
+            ProjectCard.dialog = new Dialog(modal, {
+                labelledBy: 'project-modal-title',
+                onRequestClose: () => ProjectCard.hideProject()
+            });
+            ProjectCard.dialog.open(trigger);
+            ProjectCard.setupSwipe(modal);
+
+            // Warm up the neighbours so stepping through feels instant
+            if (sequence.length > 1) {
+                [-1, 1].forEach(step => {
+                    const neighbour = projects.find(p => p.id === sequence[(index + step + sequence.length) % sequence.length]);
+                    if (neighbour) ProjectCard.preloadProjectImages(neighbour);
+                });
+            }
         }
+
+        return Boolean(project);
     }
 
     static closeModal() {
         const modal = document.getElementById('project-modal');
+        ProjectCard.currentProjectId = null;
+        if (ProjectCard.dialog) {
+            ProjectCard.dialog.close();
+            ProjectCard.dialog = null;
+        }
         if (modal) {
             modal.classList.add('hidden');
-            document.body.style.overflow = '';
             setTimeout(() => {
                 modal.remove();
             }, 300);
@@ -166,6 +346,15 @@ class ProjectCard {
     }
 }
 
+ProjectCard.ROUTE_PREFIX = '#/works/';
+
+// Minimum horizontal travel, in pixels, for a swipe to change project
+ProjectCard.SWIPE_THRESHOLD = 50;
+
+// Id of the project shown in the modal, if any, and the Dialog managing it
+ProjectCard.currentProjectId = null;
+ProjectCard.dialog = null;
+
 // Export for use
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ProjectCard;
@@ -0,0 +1,293 @@
+/**
+ * TuningPanel
+ * Hidden panel for tuning the motion design live: the Advanced3DEffects config groups and the
+ * AdvancedScrollAnimations timings as sliders, toggles and colour pickers. Changes apply as
+ * they are made; "Copy JSON" puts the tuned values on the clipboard to paste into the code.
+ *
+ *   Alt+Shift+D          toggle the panel
+ *   ?debug               open it on load
+ *   TuningPanel.open()   or from the console
+ *
+ * Floating element values are saved like the control3D methods, see Advanced3DEffects.saveSettings().
+ * Settings that only matter while the scenes are built are left out (TuningPanel.STARTUP_ONLY).
+ */
+class TuningPanel extends Component {
+    // props: { effects: Advanced3DEffects, scrollAnimations: AdvancedScrollAnimations }
+    onMount() {
+        this.listen(this.element, 'input', (e) => {
+            const input = e.target.closest('[data-path]');
+            if (input) this.apply(input);
+        });
+
+        this.listen(this.element, 'click', (e) => {
+            if (e.target.closest('.ts-tuning-copy')) this.copyConfig();
+            if (e.target.closest('.ts-tuning-close')) TuningPanel.close();
+        });
+
+        this.listen(this.element, 'keydown', (e) => {
+            if (e.key === 'Escape') TuningPanel.close();
+        });
+    }
+
+    render() {
+        const { effects, scrollAnimations } = this.props;
+
+        return html`
+            <aside class="ts-tuning-panel fixed right-4 top-4 z-[1000] flex max-h-[90vh] w-80 flex-col overflow-hidden rounded-xl bg-black/90 text-xs text-white shadow-2xl" aria-label="Tuning panel">
+                <div class="flex items-center gap-2 border-b border-white/20 px-4 py-3">
+                    <strong class="flex-1 text-sm">Tuning</strong>
+                    <span class="ts-tuning-status text-white/60" aria-live="polite"></span>
+                    <button type="button" class="ts-tuning-copy rounded-full bg-white/10 px-3 py-1 hover:bg-white/20">Copy JSON</button>
+                    <button type="button" class="ts-tuning-close px-2 text-base leading-none" aria-label="Close tuning panel">&times;</button>
+                </div>
+                <div class="overflow-y-auto px-4 py-3">
+                    ${effects
+                        ? TuningPanel.GROUPS.map(group => this.renderGroup('effects', group, effects.config[group], group))
+                        : html`<p class="py-2 text-white/60">3D effects are not running on this page.</p>`}
+                    ${scrollAnimations ? this.renderGroup('scroll', 'scrollAnimations', scrollAnimations.timing, '') : ''}
+                </div>
+            </aside>
+        `;
+    }
+
+    renderGroup(target, title, values, prefix) {
+        return html`
+            <details class="border-b border-white/10 py-2" open>
+                <summary class="cursor-pointer font-medium">${title}</summary>
+                <div class="mt-2 flex flex-col gap-1">
+                    ${this.renderFields(target, values, prefix)}
+                </div>
+            </details>
+        `;
+    }
+
+    renderFields(target, values, prefix) {
+        return Object.keys(values).map((key) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const value = values[key];
+            const label = prefix ? path.split('.').slice(1).join('.') : key;
+
+            if (target === 'effects' && TuningPanel.STARTUP_ONLY.includes(path)) return '';
+
+            if (Array.isArray(value)) {
+                return /color/i.test(key) ? this.renderColors(target, path, label, value) : '';
+            }
+
+            if (value && typeof value === 'object') {
+                return this.renderFields(target, value, path);
+            }
+
+            return this.renderField(target, path, label, value);
+        });
+    }
+
+    renderField(target, path, label, value) {
+        if (typeof value === 'boolean') {
+            return html`
+                <label class="flex items-center justify-between gap-2 py-1">
+                    <span>${label}</span>
+                    <input type="checkbox" data-target="${target}" data-path="${path}" ${value ? 'checked' : ''}>
+                </label>
+            `;
+        }
+
+        if (typeof value === 'number') {
+            const [min, max, step] = this.rangeFor(target, path, value);
+
+            return html`
+                <label class="flex items-center gap-2 py-1">
+                    <span class="w-28 shrink-0 truncate" title="${path}">${label}</span>
+                    <input type="range" class="flex-1" min="${min}" max="${max}" step="${step}" value="${value}" data-target="${target}" data-path="${path}">
+                    <output class="w-12 text-right tabular-nums">${TuningPanel.format(value)}</output>
+                </label>
+            `;
+        }
+
+        return html`
+            <label class="flex items-center gap-2 py-1">
+                <span class="w-28 shrink-0 truncate" title="${path}">${label}</span>
+                <input type="text" class="min-w-0 flex-1 rounded bg-white/10 px-2 py-1" value="${value}" data-target="${target}" data-path="${path}">
+            </label>
+        `;
+    }
+
+    renderColors(target, path, label, colors) {
+        return html`
+            <div class="flex items-center gap-2 py-1">
+                <span class="w-28 shrink-0 truncate">${label}</span>
+                ${colors.map((color, index) => html`
+                    <input type="color" class="h-6 w-8 cursor-pointer bg-transparent" value="#${color.toString(16).padStart(6, '0')}" aria-label="${label} ${index + 1}" data-target="${target}" data-path="${path}" data-index="${index}">
+                `)}
+            </div>
+        `;
+    }
+
+    // [min, max, step] for a numeric value
+    rangeFor(target, path, value) {
+        const [group, name] = path.split('.');
+
+        if (target === 'effects' && group === 'floatingElements' && Advanced3DEffects.SETTINGS[name]) {
+            const { min, max } = Advanced3DEffects.SETTINGS[name];
+            return [min, max, (max - min) / 100];
+        }
+
+        if (TuningPanel.RANGES[path]) return TuningPanel.RANGES[path];
+
+        if (target === 'scroll') {
+            return /Stagger$/.test(path) ? [0, 0.5, 0.01] : [0, 3, 0.05];
+        }
+
+        const max = Math.max(1, value * 4);
+        return [0, max, max / 100];
+    }
+
+    apply(input) {
+        const { target, path, index } = input.dataset;
+        let value;
+
+        if (input.type === 'checkbox') {
+            value = input.checked;
+        } else if (input.type === 'range') {
+            value = Number(input.value);
+            input.nextElementSibling.textContent = TuningPanel.format(value);
+        } else if (input.type === 'color') {
+            value = TuningPanel.valueAt(this.props.effects.config, path).slice();
+            value[Number(index)] = parseInt(input.value.slice(1), 16);
+        } else {
+            value = input.value;
+        }
+
+        if (target === 'scroll') {
+            this.props.scrollAnimations.setTiming(path, value);
+        } else {
+            this.props.effects.setConfigValue(path, value);
+        }
+    }
+
+    getConfig() {
+        const { effects, scrollAnimations } = this.props;
+        const config = {};
+
+        if (effects) {
+            config.advanced3DEffects = {};
+            TuningPanel.GROUPS.forEach((group) => {
+                config.advanced3DEffects[group] = effects.config[group];
+            });
+        }
+
+        if (scrollAnimations) {
+            config.scrollAnimations = scrollAnimations.timing;
+        }
+
+        return config;
+    }
+
+    copyConfig() {
+        const json = JSON.stringify(this.getConfig(), null, 4);
+        const status = this.element.querySelector('.ts-tuning-status');
+        const copy = navigator.clipboard ? navigator.clipboard.writeText(json) : Promise.reject(new Error('Clipboard unavailable'));
+
+        copy.then(() => {
+            status.textContent = 'Copied';
+        }, () => {
+            console.log(json);
+            status.textContent = 'Logged to console';
+        });
+    }
+
+    static format(value) {
+        return String(Number(value.toFixed(4)));
+    }
+
+    static valueAt(object, path) {
+        return path.split('.').reduce((node, key) => node[key], object);
+    }
+
+    static currentProps() {
+        return {
+            effects: window.advanced3DEffects || null,
+            scrollAnimations: window.scrollAnimations || null
+        };
+    }
+
+    static open() {
+        const panel = TuningPanel.instance || (TuningPanel.instance = new TuningPanel());
+        panel.update(TuningPanel.currentProps());
+        if (!panel.mounted) panel.mount(document.body);
+    }
+
+    static close() {
+        if (TuningPanel.instance) TuningPanel.instance.unmount();
+    }
+
+    static toggle() {
+        if (TuningPanel.instance && TuningPanel.instance.mounted) {
+            TuningPanel.close();
+        } else {
+            TuningPanel.open();
+        }
+    }
+
+    static isRequested() {
+        return new URLSearchParams(window.location.search).has(TuningPanel.DEBUG_PARAM);
+    }
+}
+
+// Advanced3DEffects config groups shown in the panel
+TuningPanel.GROUPS = ['scrollTransitions', 'floatingElements', 'softwareShowcase', 'performance'];
+
+// Settings the effects only read while building their scenes; changing them live would do nothing
+TuningPanel.STARTUP_ONLY = [
+    'floatingElements.enabled',
+    'floatingElements.count',
+    'floatingElements.autoHide',
+    'softwareShowcase.enabled',
+    'performance.enableGPUAcceleration',
+    'performance.reduceOnMobile',
+    'performance.pauseWhenNotVisible'
+];
+
+// Slider ranges as [min, max, step]; other numbers get a range around their current value
+TuningPanel.RANGES = {
+    'scrollTransitions.duration': [100, 3000, 50],
+    'scrollTransitions.perspective': [200, 3000, 50],
+    'scrollTransitions.rotationIntensity': [0, 90, 1],
+    'scrollTransitions.scaleRange.min': [0.5, 1, 0.01],
+    'scrollTransitions.scaleRange.max': [1, 1.5, 0.01],
+    'scrollTransitions.parallaxFactor': [0, 2, 0.05],
+    'scrollTransitions.lockThreshold': [0, 300, 5],
+    'floatingElements.presetDuration': [0, 5000, 50],
+    'softwareShowcase.floatAmplitude': [0, 1, 0.05],
+    'softwareShowcase.floatSpeed': [0, 0.05, 0.001],
+    'softwareShowcase.rotationSpeed': [0, 0.05, 0.001],
+    'softwareShowcase.opacity': [0, 1, 0.05],
+    'softwareShowcase.orbitSpeed': [0, 0.002, 0.0001],
+    'softwareShowcase.hoverScale': [1, 2, 0.05],
+    'performance.maxFPS': [0, 120, 5],
+    speed: [0.25, 3, 0.05]
+};
+
+TuningPanel.DEBUG_PARAM = 'debug';
+TuningPanel.instance = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.addEventListener('keydown', (e) => {
+        // e.code, because Alt changes e.key on some layouts
+        if (e.altKey && e.shiftKey && e.code === 'KeyD') {
+            e.preventDefault();
+            TuningPanel.toggle();
+        }
+    });
+
+    // The 3D effects start a little after the page; show their controls once they exist
+    document.addEventListener('advanced3d:ready', () => {
+        if (TuningPanel.instance && TuningPanel.instance.mounted) TuningPanel.open();
+    });
+
+    if (TuningPanel.isRequested()) TuningPanel.open();
+});
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TuningPanel;
+}
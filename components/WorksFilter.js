@@ -0,0 +1,127 @@
+class WorksFilter extends Component {
+    // props: { facets: { services, types, years }, labelFor(field, value), filter, onChange(filter) }
+    constructor(props) {
+        super(props);
+        this.filter = { ...props.filter };
+        this.resultCount = null;
+    }
+
+    onMount() {
+        this.setupEventListeners();
+    }
+
+    render() {
+        const { facets } = this.props;
+
+        return html`
+            <div class="works-filter mb-12 flex flex-col gap-6 font-serif-en" role="search" aria-label="${I18n.t('filter.label')}">
+                <div class="flex flex-col gap-4 md:flex-row md:items-center">
+                    <label class="flex-1">
+                        <span class="sr-only">${I18n.t('filter.search')}</span>
+                        <input type="search" class="works-filter-search w-full border-b border-silver bg-transparent py-2 outline-none transition-colors duration-300 focus:border-mine-shaft" placeholder="${I18n.t('filter.search')}" value="${this.filter.query}">
+                    </label>
+                    <label class="flex items-center gap-3">
+                        <span class="text-sm uppercase text-gray">${I18n.t('filter.sort')}</span>
+                        <select class="works-filter-sort border border-silver bg-transparent rounded-30 px-4 py-1">
+                            ${ProjectCatalog.SORT_ORDERS.map(value => html`
+                                <option value="${value}" ${this.filter.sort === value ? 'selected' : ''}>${I18n.t(`filter.${value}`)}</option>
+                            `)}
+                        </select>
+                    </label>
+                </div>
+                ${this.renderGroup('service', facets.services)}
+                ${this.renderGroup('type', facets.types)}
+                ${this.renderGroup('year', facets.years)}
+                <div class="flex items-center justify-between text-sm text-gray">
+                    <span class="works-filter-count" aria-live="polite">${this.formatResultCount()}</span>
+                    <button type="button" class="works-filter-clear ts-text-link uppercase">${I18n.t('filter.clear')}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderGroup(field, values) {
+        const label = I18n.t(`filter.${field}`);
+        const labelFor = this.props.labelFor || ((_, value) => value);
+
+        return html`
+            <div class="flex flex-wrap items-center gap-2" role="group" aria-label="${label}">
+                <span class="mr-2 w-16 text-sm uppercase text-gray">${label}</span>
+                ${values.map(value => html`
+                    <button type="button" class="works-filter-chip border border-silver rounded-30 px-4 py-1 transition duration-300 hover:border-mine-shaft" data-filter-field="${field}" data-filter-value="${value}" aria-pressed="false">${labelFor(field, value)}</button>
+                `)}
+            </div>
+        `;
+    }
+
+    setupEventListeners() {
+        this.listen(this.element, 'click', (e) => {
+            const chip = e.target.closest('.works-filter-chip');
+            if (chip) {
+                const { filterField: field, filterValue } = chip.dataset;
+                const value = field === 'year' ? Number(filterValue) : filterValue;
+
+                // Chips toggle; one value per group
+                this.change({ [field]: this.filter[field] === value ? null : value });
+            }
+
+            if (e.target.closest('.works-filter-clear')) {
+                this.element.querySelector('.works-filter-search').value = '';
+                this.change({ service: null, type: null, year: null, query: '' });
+            }
+        });
+
+        this.listen(this.element.querySelector('.works-filter-search'), 'input', (e) => {
+            this.change({ query: e.target.value.trim() });
+        });
+
+        this.listen(this.element.querySelector('.works-filter-sort'), 'change', (e) => {
+            this.change({ sort: e.target.value });
+        });
+
+        this.syncChips();
+    }
+
+    change(changes) {
+        this.filter = { ...this.filter, ...changes };
+        this.syncChips();
+
+        if (this.props.onChange) {
+            this.props.onChange({ ...this.filter });
+        }
+    }
+
+    // Update chip states in place so the search box keeps focus while typing
+    syncChips() {
+        this.element.querySelectorAll('.works-filter-chip').forEach(chip => {
+            const { filterField: field, filterValue } = chip.dataset;
+            const active = String(this.filter[field]) === filterValue;
+
+            chip.setAttribute('aria-pressed', String(active));
+            chip.classList.toggle('bg-mine-shaft', active);
+            chip.classList.toggle('text-pampas', active);
+            chip.classList.toggle('border-mine-shaft', active);
+        });
+
+        const hasFilter = Boolean(this.filter.service || this.filter.type || this.filter.year || this.filter.query);
+        this.element.querySelector('.works-filter-clear').hidden = !hasFilter;
+    }
+
+    setResultCount(shown, total) {
+        this.resultCount = { shown, total };
+        this.element.querySelector('.works-filter-count').textContent = this.formatResultCount();
+    }
+
+    formatResultCount() {
+        if (!this.resultCount) return '';
+
+        return this.resultCount.shown === 0
+            ? I18n.t('filter.empty')
+            : I18n.t('filter.count', this.resultCount);
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorksFilter;
+}
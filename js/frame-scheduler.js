@@ -0,0 +1,143 @@
+// ⏱️ Frame Scheduler for Video Editor Portfolio
+// One requestAnimationFrame loop shared by every animation on the page
+//
+// Animations register a named callback instead of running their own loop:
+//
+//   const task = FrameScheduler.add('software-3d', (time, delta) => render(), { maxFPS: 30, element: canvas });
+//   task.pause();  task.resume();  task.setMaxFPS(60);  task.remove();
+//
+// A task runs at most maxFPS times a second (0 = every frame). Given an element, it only runs while
+// that element is on screen; by default tasks also stop while the tab is hidden. The loop itself
+// sleeps whenever no task is due to run, so an idle page costs nothing.
+// FrameScheduler.once(callback) runs a callback on the next frame, e.g. to batch scroll handlers.
+
+class FrameScheduler {
+    static add(name, callback, { maxFPS = 0, element = null, pauseWhenHidden = true } = {}) {
+        const task = {
+            name,
+            callback,
+            interval: 0,
+            lastTime: 0,
+            paused: false,
+            onScreen: true,
+            pauseWhenHidden,
+            observer: null
+        };
+
+        FrameScheduler.setMaxFPS(task, maxFPS);
+
+        if (element && typeof IntersectionObserver !== 'undefined') {
+            task.observer = new IntersectionObserver((entries) => {
+                task.onScreen = entries[entries.length - 1].isIntersecting;
+                task.lastTime = 0;
+                FrameScheduler.wake();
+            });
+            task.observer.observe(element);
+        }
+
+        FrameScheduler.tasks.add(task);
+        FrameScheduler.wake();
+
+        return {
+            pause: () => {
+                task.paused = true;
+            },
+            resume: () => {
+                task.paused = false;
+                task.lastTime = 0;
+                FrameScheduler.wake();
+            },
+            setMaxFPS: (fps) => FrameScheduler.setMaxFPS(task, fps),
+            remove: () => FrameScheduler.remove(task),
+            get paused() {
+                return task.paused;
+            }
+        };
+    }
+
+    static once(callback) {
+        FrameScheduler.queue.push(callback);
+        FrameScheduler.wake();
+    }
+
+    static remove(task) {
+        if (task.observer) task.observer.disconnect();
+        FrameScheduler.tasks.delete(task);
+    }
+
+    static setMaxFPS(task, fps) {
+        task.interval = fps > 0 ? 1000 / fps : 0;
+    }
+
+    static isRunnable(task) {
+        return !task.paused && task.onScreen && !(task.pauseWhenHidden && document.hidden);
+    }
+
+    // Names of the tasks currently running, for debugging
+    static list() {
+        return Array.from(FrameScheduler.tasks)
+            .filter(task => FrameScheduler.isRunnable(task))
+            .map(task => task.name);
+    }
+
+    static wake() {
+        if (FrameScheduler.frame) return;
+
+        const due = FrameScheduler.queue.length > 0 ||
+            Array.from(FrameScheduler.tasks).some(task => FrameScheduler.isRunnable(task));
+
+        if (due) {
+            FrameScheduler.frame = requestAnimationFrame(FrameScheduler.tick);
+        }
+    }
+
+    static tick(time) {
+        FrameScheduler.frame = null;
+
+        const queue = FrameScheduler.queue.splice(0);
+        queue.forEach(callback => callback(time));
+
+        FrameScheduler.tasks.forEach((task) => {
+            if (!FrameScheduler.isRunnable(task)) return;
+
+            const elapsed = task.lastTime ? time - task.lastTime : 0;
+
+            // Allow a millisecond of jitter so a 60fps cap doesn't drop frames on a 60Hz screen
+            if (task.lastTime && elapsed < task.interval - 1) return;
+
+            // Stay on the cap's cadence instead of drifting by the overshoot each frame
+            task.lastTime = task.interval && task.lastTime ? time - (elapsed % task.interval) : time;
+
+            try {
+                task.callback(time, elapsed);
+            } catch (error) {
+                // A throwing callback would have ended its own loop; stop just that task
+                console.error(`Frame task "${task.name}" failed:`, error);
+                FrameScheduler.remove(task);
+            }
+        });
+
+        FrameScheduler.wake();
+    }
+}
+
+FrameScheduler.tasks = new Set();
+FrameScheduler.queue = [];
+FrameScheduler.frame = null;
+
+if (typeof document !== 'undefined') {
+    // Pick up where we left off without a huge first delta
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) return;
+
+        FrameScheduler.tasks.forEach((task) => {
+            task.lastTime = 0;
+        });
+        FrameScheduler.wake();
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameScheduler;
+}
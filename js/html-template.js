@@ -0,0 +1,119 @@
+// 🧩 HTML Templating for Video Editor Portfolio
+// Escapes everything interpolated into markup unless it is explicitly marked as trusted
+//
+//   html`<h3 title="${project.title}">${project.title}</h3>`   Values are escaped for text and quoted attributes
+//   html`<ul>${items.map(item => html`<li>${item}</li>`)}</ul>` Nested templates and arrays are kept as markup
+//   trustedHTML(markup)                                         Opt in for markup written by us, never for data
+//   sanitizeHTML(details)                                       Keep a small set of formatting tags from rich text
+//
+// html`` returns a SafeHTML value; use String() or assign it to innerHTML to get the markup.
+
+class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"'`]/g, character => HTML_ESCAPES[character]);
+}
+
+function interpolateHTML(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHTML) return value.markup;
+    if (Array.isArray(value)) return value.map(interpolateHTML).join('');
+    return escapeHTML(value);
+}
+
+function html(strings, ...values) {
+    return new SafeHTML(strings.reduce((markup, string, index) =>
+        markup + string + (index < values.length ? interpolateHTML(values[index]) : ''), ''));
+}
+
+function trustedHTML(markup) {
+    return new SafeHTML(String(markup));
+}
+
+// Tags and attributes allowed through sanitizeHTML
+const SANITIZE_ALLOWED_TAGS = ['p', 'br', 'strong', 'b', 'em', 'i', 'u', 'a', 'ul', 'ol', 'li', 'span'];
+const SANITIZE_ALLOWED_ATTRIBUTES = { a: ['href', 'title'] };
+const SANITIZE_ALLOWED_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Parse like the browser does, which drops tabs, newlines and leading control characters
+// ("java\tscript:"). Relative links resolve against an https base, so they are allowed.
+function isSafeUrl(url) {
+    try {
+        return SANITIZE_ALLOWED_PROTOCOLS.includes(new URL(url, 'https://relative.invalid/').protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Reduce rich text to a small set of formatting tags; anything else is unwrapped to its text
+function sanitizeHTML(markup) {
+    if (markup === null || markup === undefined) return new SafeHTML('');
+
+    // Without a DOM to parse with (e.g. in Node), fall back to plain text
+    if (typeof document === 'undefined') return new SafeHTML(escapeHTML(markup));
+
+    const template = document.createElement('template');
+    template.innerHTML = String(markup);
+
+    const clean = (node) => {
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === Node.COMMENT_NODE) {
+                child.remove();
+                return;
+            }
+
+            if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+            const tag = child.tagName.toLowerCase();
+
+            if (['script', 'style', 'iframe', 'object', 'embed', 'template'].includes(tag)) {
+                child.remove();
+                return;
+            }
+
+            clean(child);
+
+            if (!SANITIZE_ALLOWED_TAGS.includes(tag)) {
+                child.replaceWith(...child.childNodes);
+                return;
+            }
+
+            const allowed = SANITIZE_ALLOWED_ATTRIBUTES[tag] || [];
+            Array.from(child.attributes).forEach(attribute => {
+                if (!allowed.includes(attribute.name) || (attribute.name === 'href' && !isSafeUrl(attribute.value))) {
+                    child.removeAttribute(attribute.name);
+                }
+            });
+
+            if (tag === 'a') {
+                child.setAttribute('target', '_blank');
+                child.setAttribute('rel', 'noopener noreferrer');
+            }
+        });
+    };
+
+    clean(template.content);
+    return new SafeHTML(template.innerHTML);
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SafeHTML, html, trustedHTML, escapeHTML, sanitizeHTML };
+}
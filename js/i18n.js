@@ -0,0 +1,187 @@
+// 🌐 Localisation for Video Editor Portfolio
+// Message lookup, language switching and localised project/video entries
+//
+// Messages live in locales/<language>.json as nested objects and are looked up by dotted key:
+//   I18n.t('nav.works')                            → "Works" / "作品"
+//   I18n.t('filter.count', { shown: 2, total: 6 })  → "Showing 2 of 6 projects"
+// Missing keys fall back to English, then to the key itself. If the visitor's language can't be
+// loaded the page is shown in English; I18n.ready only rejects when English can't be loaded either.
+//
+// Data entries keep their canonical English fields and carry translations beside them;
+// arrays (services, tags) are translated position by position:
+//   { "title": "Documentary", "tags": ["Emotion"], "translations": { "ja": { "title": "ドキュメンタリー", "tags": ["感情"] } } }
+//
+// Static markup opts in with data-i18n="key" for text and data-i18n-attr="aria-label:key" for attributes.
+// The language comes from ?lang=, then the saved choice, then the browser; English is the default.
+
+class I18n {
+    constructor(language, messages, fallback = {}) {
+        this.language = language;
+        this.messages = messages;
+        this.fallback = fallback;
+    }
+
+    t(key, params = {}) {
+        const message = I18n.lookup(this.messages, key);
+        const template = typeof message === 'string' ? message : I18n.lookup(this.fallback, key);
+        return typeof template === 'string' ? I18n.format(template, params) : key;
+    }
+
+    static lookup(messages, key) {
+        return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+    }
+
+    static format(template, params) {
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    // Translate with the active language
+    static t(key, params) {
+        return I18n.current ? I18n.current.t(key, params) : key;
+    }
+
+    static get language() {
+        return I18n.current ? I18n.current.language : I18n.DEFAULT_LANGUAGE;
+    }
+
+    // An entry with its translated fields laid over the canonical ones
+    static localize(entry, language = I18n.language) {
+        const translation = entry.translations && entry.translations[language];
+        return translation ? { ...entry, ...translation } : entry;
+    }
+
+    // Display label for a canonical value (e.g. a service or tag) using the first entry that has it
+    static localizeValue(entries, field, value, language = I18n.language) {
+        for (const entry of entries) {
+            const translation = entry.translations && entry.translations[language];
+            if (!translation || translation[field] === undefined) continue;
+
+            if (Array.isArray(entry[field])) {
+                const index = entry[field].indexOf(value);
+                if (index !== -1 && translation[field][index]) return translation[field][index];
+            } else if (entry[field] === value) {
+                return translation[field];
+            }
+        }
+
+        return value;
+    }
+
+    static isSupported(language) {
+        return I18n.SUPPORTED_LANGUAGES.includes(language);
+    }
+
+    static detectLanguage() {
+        const fromUrl = new URLSearchParams(window.location.search).get('lang');
+        if (I18n.isSupported(fromUrl)) return fromUrl;
+
+        try {
+            const saved = localStorage.getItem(I18n.STORAGE_KEY);
+            if (I18n.isSupported(saved)) return saved;
+        } catch (error) {
+            // Storage can be unavailable (private mode, blocked cookies)
+        }
+
+        const preferred = (navigator.languages || [navigator.language || ''])
+            .map(language => language.toLowerCase().split('-')[0])
+            .find(language => I18n.isSupported(language));
+
+        return preferred || I18n.DEFAULT_LANGUAGE;
+    }
+
+    static loadMessages(language) {
+        if (!I18n.cache.has(language)) {
+            const url = I18n.MESSAGES_PATH.replace('{language}', language);
+            const request = fetch(url).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load messages from ${url} (${response.status})`);
+                }
+                return response.json();
+            });
+
+            request.catch(() => I18n.cache.delete(language));
+            I18n.cache.set(language, request);
+        }
+
+        return I18n.cache.get(language);
+    }
+
+    // Switch language, update <html lang> and static markup, and tell components to re-render
+    static async setLanguage(language, { persist = true } = {}) {
+        if (!I18n.isSupported(language)) {
+            throw new Error(`Unsupported language "${language}"`);
+        }
+
+        // The English fallback only fills gaps, so the language still works without it
+        const [messages, fallback] = await Promise.all([
+            I18n.loadMessages(language),
+            language === I18n.DEFAULT_LANGUAGE ? {} : I18n.loadMessages(I18n.DEFAULT_LANGUAGE).catch(() => ({}))
+        ]);
+
+        const changed = I18n.language !== language;
+        I18n.current = new I18n(language, messages, fallback);
+        document.documentElement.lang = language;
+
+        if (persist) {
+            try {
+                localStorage.setItem(I18n.STORAGE_KEY, language);
+            } catch (error) {
+                // The choice simply won't be remembered
+            }
+
+            // An explicit choice replaces a ?lang= link the visitor arrived with
+            const url = new URL(window.location.href);
+            if (url.searchParams.has('lang')) {
+                url.searchParams.delete('lang');
+                history.replaceState(history.state, '', url.pathname + url.search + url.hash);
+            }
+        }
+
+        I18n.applyTo(document);
+
+        if (changed) {
+            document.dispatchEvent(new CustomEvent('languagechange', { detail: { language } }));
+        }
+
+        return I18n.current;
+    }
+
+    static applyTo(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = I18n.t(element.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) element.setAttribute(attribute, I18n.t(key));
+            });
+        });
+    }
+}
+
+I18n.SUPPORTED_LANGUAGES = ['en', 'ja'];
+I18n.DEFAULT_LANGUAGE = 'en';
+I18n.STORAGE_KEY = 'portfolio-language';
+I18n.MESSAGES_PATH = 'locales/{language}.json';
+
+I18n.cache = new Map();
+I18n.current = null;
+
+// Load the visitor's language as early as possible; renderers wait on I18n.ready
+if (typeof document !== 'undefined') {
+    const language = I18n.detectLanguage();
+
+    I18n.ready = I18n.setLanguage(language, { persist: false })
+        .catch(error => {
+            if (language === I18n.DEFAULT_LANGUAGE) throw error;
+
+            console.error(`${error.message}; falling back to English`);
+            return I18n.setLanguage(I18n.DEFAULT_LANGUAGE, { persist: false });
+        });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
@@ -361,12 +361,26 @@ class LazyLoader {
     preloadCriticalResources() {
         // Preload hero images and above-the-fold content
         const criticalImages = document.querySelectorAll('.critical-image, .hero img, .preload');
+        const loading = [];
+
         criticalImages.forEach(img => {
             if (img.dataset.src) {
+                loading.push(new Promise(resolve => {
+                    img.addEventListener('load', resolve, { once: true });
+                    img.addEventListener('error', resolve, { once: true });
+                }));
                 img.src = img.dataset.src;
                 delete img.dataset.src;
             }
         });
+
+        // Count them towards the preloader's progress when the page has one
+        if (loading.length > 0 && typeof PreloaderTasks !== 'undefined') {
+            PreloaderTasks.track('critical-images', Promise.all(loading), {
+                label: 'preloader.loadingAssets',
+                weight: 2
+            });
+        }
     }
 }
 
@@ -0,0 +1,700 @@
+// ⏳ Preloader for Video Editor Portfolio
+// One intro loader for every page, with selectable visual themes
+//
+// Progress follows real work registered as weighted tasks. The preloader registers hero images,
+// the first video reaching canplay and web fonts itself; any other module can add its own:
+//
+//   const task = PreloaderTasks.register('advanced-3d', { label: 'preloader.settingUp3d', weight: 3 });
+//   task.done();                                   // or task.fail(error)
+//   PreloaderTasks.track('critical-images', promise, { label: 'preloader.loadingAssets' });
+//
+// Labels are message keys (or plain text); the bar shows the combined weighted progress and the
+// label of the first task still pending. Failed tasks count as finished so the page never hangs.
+//
+// The preloader stays up for at least minDuration and at most maxDuration; a task still pending
+// after stallTimeout is failed. All three can be set on the loader element:
+//   <div class="ts-page-loader" data-min-duration="1500" data-max-duration="8000" data-stall-timeout="5000">
+//
+// data-preloader-theme picks how the loader looks; progress, skip and timing are shared:
+//   classic  title, line and progress bar from the loader markup (default)
+//   pulse    the sequential pulse canvas; dots light up as tasks finish
+//   minimal  a thin progress bar along the top edge
+// A #skip-preloader button, #progress-text and #loading-status work with any theme.
+// When the loader is gone (or bypassed) a preloader:complete event is dispatched on document.
+//
+// Once the intro has been seen it is skipped for rememberDays (data-remember-days, 0 always plays it).
+// ?intro=1 forces the full intro, e.g. for client presentations, and with the classic and pulse
+// themes a "Replay intro" button plays it again on demand.
+
+class PreloaderTasks {
+    // Register a named task and get back a handle to settle it
+    static register(name, { label = '', weight = 1 } = {}) {
+        if (!PreloaderTasks.tasks.has(name)) {
+            PreloaderTasks.tasks.set(name, { name, label, weight: Math.max(0, weight), status: 'pending', error: null });
+            PreloaderTasks.notify();
+        }
+
+        return {
+            done: () => PreloaderTasks.done(name),
+            fail: (error) => PreloaderTasks.fail(name, error)
+        };
+    }
+
+    // Register a task settled by a promise
+    static track(name, promise, options) {
+        const task = PreloaderTasks.register(name, options);
+        return Promise.resolve(promise).then(() => task.done(), error => task.fail(error));
+    }
+
+    static done(name) {
+        PreloaderTasks.settle(name, 'done', null);
+    }
+
+    static fail(name, error) {
+        if (PreloaderTasks.settle(name, 'failed', error)) {
+            console.warn(`Preloader task "${name}" failed:`, error && error.message ? error.message : error);
+        }
+    }
+
+    // Tasks settle once; returns whether this call settled it
+    static settle(name, status, error) {
+        const task = PreloaderTasks.tasks.get(name);
+        if (!task || task.status !== 'pending') return false;
+
+        task.status = status;
+        task.error = error;
+        PreloaderTasks.notify();
+        return true;
+    }
+
+    static list() {
+        return Array.from(PreloaderTasks.tasks.values()).map(task => ({ ...task }));
+    }
+
+    // Combined progress 0-100, weighted; no tasks at all counts as finished
+    static get progress() {
+        const tasks = Array.from(PreloaderTasks.tasks.values());
+        const total = tasks.reduce((sum, task) => sum + task.weight, 0);
+        if (total === 0) return 100;
+
+        const settled = tasks
+            .filter(task => task.status !== 'pending')
+            .reduce((sum, task) => sum + task.weight, 0);
+        return (settled / total) * 100;
+    }
+
+    // Label of the first task still pending, in registration order
+    static get currentLabel() {
+        const pending = Array.from(PreloaderTasks.tasks.values()).find(task => task.status === 'pending');
+        return pending ? pending.label : null;
+    }
+
+    static isComplete() {
+        return Array.from(PreloaderTasks.tasks.values()).every(task => task.status !== 'pending');
+    }
+
+    static subscribe(listener) {
+        PreloaderTasks.listeners.add(listener);
+        return () => PreloaderTasks.listeners.delete(listener);
+    }
+
+    static notify() {
+        PreloaderTasks.listeners.forEach(listener => listener(PreloaderTasks.list()));
+    }
+}
+
+PreloaderTasks.tasks = new Map();
+PreloaderTasks.listeners = new Set();
+
+// Themes only draw: start() reveals the loader, render(progress) shows 0-100, stop() cleans up
+class ClassicPreloaderTheme {
+    constructor(preloader) {
+        this.preloader = preloader;
+        this.timers = [];
+        this.elements = {
+            title: document.getElementById('preloader-title'),
+            line: document.getElementById('preloader-line'),
+            elements: document.getElementById('preloader-elements'),
+            progress: document.getElementById('preloader-progress'),
+            portfolioText: document.getElementById('portfolio-text')
+        };
+    }
+
+    start() {
+        // Immediate fade in
+        this.showTitle();
+
+        // Staggered animations
+        this.timers = [
+            setTimeout(() => this.showLine(), 400),
+            setTimeout(() => this.showElements(), 800),
+            setTimeout(() => this.showPortfolioText(), 1200)
+        ];
+    }
+
+    render(progress) {
+        if (this.elements.progress) {
+            this.elements.progress.style.width = progress + '%';
+        }
+    }
+
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+    }
+
+    showTitle() {
+        if (this.elements.title) {
+            this.elements.title.style.opacity = '1';
+            this.elements.title.style.transform = 'translateY(0)';
+            this.elements.title.style.transition = 'all 0.8s cubic-bezier(0.25, 0.46, 0.45, 0.94)';
+        }
+    }
+
+    showLine() {
+        if (this.elements.line) {
+            this.elements.line.style.opacity = '1';
+            this.elements.line.style.transform = 'scaleX(1)';
+            this.elements.line.style.transition = 'all 0.8s ease-out';
+        }
+    }
+
+    showElements() {
+        if (this.elements.elements) {
+            this.elements.elements.style.opacity = '1';
+            this.elements.elements.style.transform = 'translateY(0)';
+            this.elements.elements.style.transition = 'all 0.6s ease-out';
+        }
+    }
+
+    showPortfolioText() {
+        if (this.elements.portfolioText) {
+            this.elements.portfolioText.style.opacity = '1';
+            this.elements.portfolioText.style.transition = 'opacity 0.6s ease-out';
+        }
+    }
+}
+
+ClassicPreloaderTheme.COVERS_PAGE = true;
+
+// Sequential pulse animation with connecting lines, from the video gallery page
+class PulsePreloaderTheme {
+    constructor(preloader) {
+        this.preloader = preloader;
+        this.canvas = preloader.querySelector('canvas');
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            preloader.appendChild(this.canvas);
+        }
+
+        this.ctx = this.canvas.getContext('2d');
+        this.progress = 0;
+        this.time = 0;
+        this.lastTime = 0;
+        this.animation = null;
+    }
+
+    start() {
+        this.canvas.width = PulsePreloaderTheme.SIZE;
+        this.canvas.height = PulsePreloaderTheme.SIZE;
+        this.lastTime = 0;
+
+        this.animation = FrameScheduler.add('preloader-pulse', (timestamp) => this.draw(timestamp));
+    }
+
+    render(progress) {
+        this.progress = progress;
+    }
+
+    stop() {
+        if (this.animation) this.animation.remove();
+    }
+
+    draw(timestamp) {
+        const { ctx, canvas } = this;
+        if (!this.lastTime) this.lastTime = timestamp;
+        this.time += (timestamp - this.lastTime) * 0.001;
+        this.lastTime = timestamp;
+
+        const centerX = canvas.width / 2;
+        const centerY = canvas.height / 2;
+        const radius = 70;
+        const dotCount = 16;
+
+        // Dots light up one by one as progress comes in
+        const litDots = Math.round((this.progress / 100) * dotCount);
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Center dot
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, 4, 0, Math.PI * 2);
+        ctx.fillStyle = '#e0a800';
+        ctx.fill();
+
+        // Sequential pulsing dots + connecting lines
+        for (let i = 0; i < dotCount; i++) {
+            const angle = (i / dotCount) * Math.PI * 2;
+            const pulsePhase = (this.time * 0.5 + i / dotCount) % 1;
+            const pulseFactor = Math.sin(pulsePhase * Math.PI * 2);
+            const size = 3 + pulseFactor * 3;
+            const finalRadius = radius + pulseFactor * 6;
+            const x = centerX + Math.cos(angle) * finalRadius;
+            const y = centerY + Math.sin(angle) * finalRadius;
+
+            // Dot
+            ctx.beginPath();
+            ctx.arc(x, y, size, 0, Math.PI * 2);
+            ctx.fillStyle = i < litDots ? '#ffc107' : 'rgba(255, 193, 7, 0.35)';
+            ctx.fill();
+
+            // Connecting line
+            ctx.beginPath();
+            ctx.moveTo(centerX, centerY);
+            ctx.lineTo(x, y);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+    }
+}
+
+PulsePreloaderTheme.SIZE = 220;
+PulsePreloaderTheme.COVERS_PAGE = true;
+
+// A thin bar along the top edge, for pages that only need a hint of progress
+class MinimalPreloaderTheme {
+    constructor(preloader) {
+        this.preloader = preloader;
+        this.bar = preloader.querySelector('.ts-preloader-bar');
+        if (!this.bar) {
+            this.bar = document.createElement('div');
+            this.bar.className = 'ts-preloader-bar absolute left-0 top-0 h-[2px] w-0 bg-pampas';
+            preloader.appendChild(this.bar);
+        }
+    }
+
+    start() {}
+
+    render(progress) {
+        this.bar.style.width = progress + '%';
+    }
+
+    stop() {}
+}
+
+MinimalPreloaderTheme.COVERS_PAGE = false;
+
+class SimplePreloaderAnimations {
+    constructor(options = {}) {
+        this.elements = {};
+        this.options = { ...SimplePreloaderAnimations.DEFAULTS, ...options };
+        this.loadingProgress = 0;
+        this.displayedProgress = 0;
+        this.statusLabel = null;
+        this.completing = false;
+        this.finished = false;
+        this.maxTimer = null;
+        this.stallTimers = new Map();
+        this.unsubscribe = null;
+        this.tasksSettled = false;
+        this.initialStyles = new Map();
+        this.replayButton = null;
+        this.skipTimer = null;
+        this.theme = null;
+        this.startTime = Date.now();
+
+        this.init();
+    }
+
+    // Theme and durations from data-* attributes on the loader element
+    static optionsFromElement(element) {
+        const options = {};
+
+        Object.keys(SimplePreloaderAnimations.DEFAULTS)
+            .filter(option => typeof SimplePreloaderAnimations.DEFAULTS[option] === 'number')
+            .forEach(option => {
+                const value = Number(element.dataset[option]);
+                if (element.dataset[option] !== undefined && Number.isFinite(value)) {
+                    options[option] = value;
+                }
+            });
+
+        if (element.dataset.preloaderTheme) {
+            options.theme = element.dataset.preloaderTheme;
+        }
+
+        return options;
+    }
+
+    init() {
+        this.cacheElements();
+        this.theme = this.createTheme();
+        this.setupSkipButton();
+        this.registerBuiltInTasks();
+
+        if (this.shouldBypass()) {
+            this.bypass();
+            return;
+        }
+
+        this.startAnimation();
+        this.followTasks();
+    }
+
+    // Returning visitors skip the intro unless the URL asks for it
+    shouldBypass() {
+        const forced = new URLSearchParams(window.location.search).get(SimplePreloaderAnimations.FORCE_PARAM);
+        if (forced !== null && forced !== '0') return false;
+        if (this.options.rememberDays <= 0) return false;
+
+        const seenAt = SimplePreloaderAnimations.getSeenAt();
+        return seenAt !== null && Date.now() - seenAt < this.options.rememberDays * 24 * 60 * 60 * 1000;
+    }
+
+    bypass() {
+        this.finished = true;
+        this.elements.preloader.style.display = 'none';
+        this.complete();
+    }
+
+    createTheme() {
+        let ThemeClass = SimplePreloaderAnimations.THEMES[this.options.theme];
+        if (!ThemeClass) {
+            console.warn(`Unknown preloader theme "${this.options.theme}", using classic`);
+            ThemeClass = SimplePreloaderAnimations.THEMES.classic;
+        }
+
+        return new ThemeClass(this.elements.preloader);
+    }
+
+    static getSeenAt() {
+        try {
+            const value = Number(localStorage.getItem(SimplePreloaderAnimations.STORAGE_KEY));
+            return value > 0 ? value : null;
+        } catch (error) {
+            // Storage can be unavailable (private mode, blocked cookies)
+            return null;
+        }
+    }
+
+    static markSeen() {
+        try {
+            localStorage.setItem(SimplePreloaderAnimations.STORAGE_KEY, String(Date.now()));
+        } catch (error) {
+            // The intro will simply play again next time
+        }
+    }
+
+    // Play the full intro again; finished tasks keep their progress, so it runs for about minDuration
+    replay() {
+        if (!this.finished) return;
+
+        this.initialStyles.forEach((style, element) => {
+            if (style === null) {
+                element.removeAttribute('style');
+            } else {
+                element.setAttribute('style', style);
+            }
+        });
+
+        this.finished = false;
+        this.completing = false;
+        this.displayedProgress = 0;
+        this.loadingProgress = 0;
+        this.stallTimers.clear();
+        this.startTime = Date.now();
+        this.hideReplayButton();
+
+        this.startAnimation();
+        this.followTasks();
+    }
+
+    showReplayButton() {
+        if (!this.replayButton) {
+            this.replayButton = document.createElement('button');
+            this.replayButton.type = 'button';
+            this.replayButton.className = 'ts-replay-intro fixed bottom-4 left-4 z-20 font-serif-en text-xs uppercase opacity-50 transition-opacity hover:opacity-100';
+            this.replayButton.textContent = I18n.t('preloader.replay');
+            this.replayButton.addEventListener('click', () => this.replay());
+            document.body.appendChild(this.replayButton);
+        }
+
+        this.replayButton.hidden = false;
+    }
+
+    hideReplayButton() {
+        if (this.replayButton) this.replayButton.hidden = true;
+    }
+
+    // Elements every theme shares; each theme looks up its own
+    cacheElements() {
+        const preloader = document.querySelector('.ts-page-loader');
+
+        this.elements = {
+            preloader,
+            progressText: document.getElementById('progress-text'),
+            loadingStatus: document.getElementById('loading-status'),
+            skipButton: document.getElementById('skip-preloader')
+        };
+
+        // Inline styles as authored, so a replay starts from the same hidden state
+        [preloader, ...preloader.querySelectorAll('*')].forEach(element => {
+            this.initialStyles.set(element, element.getAttribute('style'));
+        });
+    }
+
+    setupSkipButton() {
+        if (this.elements.skipButton) {
+            this.elements.skipButton.addEventListener('click', () => {
+                this.finishPreloader();
+            });
+        }
+    }
+
+    startAnimation() {
+        this.theme.start();
+        this.skipTimer = setTimeout(() => this.showSkipButton(), 1600);
+
+        // Start progress animation
+        this.animateProgress();
+
+        // Never hold the page longer than maxDuration, whatever is still loading
+        this.maxTimer = setTimeout(() => {
+            this.finishPreloader();
+        }, this.options.maxDuration);
+    }
+
+    // Follow every task registered so far and any that other modules register later
+    followTasks() {
+        this.tasksSettled = false;
+        this.unsubscribe = PreloaderTasks.subscribe(() => this.onTasksChanged());
+
+        // Other modules register from their own DOMContentLoaded handlers, and cached assets can
+        // settle in between; only judge completion once every handler has run
+        setTimeout(() => {
+            this.tasksSettled = true;
+            this.onTasksChanged();
+        }, 0);
+    }
+
+    // The preloader's own tasks; registered even when the intro is bypassed so a replay shows real progress
+    registerBuiltInTasks() {
+        const images = Array.from(document.querySelectorAll(SimplePreloaderAnimations.HERO_IMAGES));
+        if (images.length > 0) {
+            PreloaderTasks.track('hero-images', Promise.all(images.map(image => this.waitForImage(image))), {
+                label: 'preloader.loadingAssets',
+                weight: 2
+            });
+        }
+
+        const video = document.querySelector(SimplePreloaderAnimations.FIRST_VIDEO);
+        if (video) {
+            PreloaderTasks.track('first-video', this.waitForVideo(video), {
+                label: 'preloader.preparingVideo',
+                weight: 2
+            });
+        }
+
+        if (document.fonts) {
+            PreloaderTasks.track('fonts', document.fonts.ready, { label: 'preloader.loadingAssets' });
+        }
+    }
+
+    onTasksChanged() {
+        if (this.finished) return;
+
+        this.loadingProgress = PreloaderTasks.progress;
+        this.statusLabel = PreloaderTasks.currentLabel;
+        this.watchForStalls();
+
+        if (this.tasksSettled && PreloaderTasks.isComplete() && !this.completing) {
+            this.completing = true;
+
+            // Keep the intro on screen for at least minDuration so it doesn't just flash
+            const remaining = this.options.minDuration - (Date.now() - this.startTime);
+            setTimeout(() => this.finishPreloader(), Math.max(0, remaining));
+        }
+    }
+
+    // A task still pending after stallTimeout is failed so one slow request can't hold the rest
+    watchForStalls() {
+        PreloaderTasks.list().forEach(task => {
+            if (task.status !== 'pending') {
+                clearTimeout(this.stallTimers.get(task.name));
+            }
+        });
+
+        PreloaderTasks.list()
+            .filter(task => task.status === 'pending' && !this.stallTimers.has(task.name))
+            .forEach(task => {
+                this.stallTimers.set(task.name, setTimeout(() => {
+                    PreloaderTasks.fail(task.name, new Error(`did not finish within ${this.options.stallTimeout}ms`));
+                }, this.options.stallTimeout));
+            });
+    }
+
+    waitForImage(image) {
+        if (image.complete) return Promise.resolve();
+
+        return new Promise(resolve => {
+            image.addEventListener('load', resolve, { once: true });
+            image.addEventListener('error', resolve, { once: true });
+        });
+    }
+
+    waitForVideo(video) {
+        if (video.readyState >= HTMLMediaElement.HAVE_FUTURE_DATA) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            video.addEventListener('canplay', resolve, { once: true });
+            video.addEventListener('error', () => reject(new Error('video failed to load')), { once: true });
+        });
+    }
+
+    showSkipButton() {
+        if (this.elements.skipButton) {
+            this.elements.skipButton.style.opacity = '0.7';
+            this.elements.skipButton.style.transition = 'opacity 0.4s ease-out';
+        }
+    }
+
+    animateProgress() {
+        if (this.progressAnimation) this.progressAnimation.remove();
+
+        const updateProgress = () => {
+            // Ease towards the real progress so finished assets don't make the bar jump
+            this.displayedProgress += (this.loadingProgress - this.displayedProgress) * 0.1;
+            if (this.loadingProgress - this.displayedProgress < 0.5) {
+                this.displayedProgress = this.loadingProgress;
+            }
+
+            const progress = this.displayedProgress;
+            this.theme.render(progress);
+
+            // Show the stage that is still loading
+            if (this.elements.loadingStatus) {
+                this.elements.loadingStatus.textContent = this.getStatusText(progress);
+            }
+
+            // Update progress text
+            if (this.elements.progressText) {
+                this.elements.progressText.textContent = Math.round(progress) + '%';
+            }
+
+            if (progress >= 100) {
+                this.progressAnimation.remove();
+            }
+        };
+
+        this.progressAnimation = FrameScheduler.add('preloader-progress', updateProgress);
+    }
+
+    getStatusText(progress) {
+        if (progress >= 100) return I18n.t('preloader.complete');
+        return I18n.t(this.statusLabel || 'preloader.almostReady');
+    }
+
+    finishPreloader() {
+        const preloader = this.elements.preloader;
+        if (!preloader || this.finished) return;
+
+        this.finished = true;
+        this.statusLabel = null;
+        clearTimeout(this.maxTimer);
+        clearTimeout(this.skipTimer);
+        this.stallTimers.forEach(timer => clearTimeout(timer));
+        if (this.unsubscribe) this.unsubscribe();
+        SimplePreloaderAnimations.markSeen();
+
+        // Skipped or timed out: run the bar to the end while the loader fades
+        this.loadingProgress = 100;
+
+        // Simple fade out
+        preloader.style.transition = 'opacity 0.8s ease-out, transform 0.8s ease-out';
+        preloader.style.opacity = '0';
+        preloader.style.transform = 'scale(0.95)';
+
+        setTimeout(() => {
+            preloader.style.display = 'none';
+            this.theme.stop();
+            this.complete();
+
+            // Notify 3D controller
+            if (window.advanced3D && window.advanced3D.finishPreloader) {
+                window.advanced3D.finishPreloader();
+            }
+        }, 800);
+    }
+
+    // The page is revealed, after the intro or straight away for returning visitors
+    complete() {
+        this.triggerHeroAnimations();
+
+        // A replay only makes sense for themes that cover the page
+        if (this.theme.constructor.COVERS_PAGE) {
+            this.showReplayButton();
+        }
+        document.dispatchEvent(new CustomEvent('preloader:complete'));
+    }
+
+    triggerHeroAnimations() {
+        // Show hero elements
+        const heroElements = [
+            '.hero-tagline',
+            '.hero-logo',
+            '.hero-intro',
+            '.hero-portfolio',
+            '.hero-cta',
+            '.scroll-indicator'
+        ];
+
+        heroElements.forEach((selector, index) => {
+            setTimeout(() => {
+                const element = document.querySelector(selector);
+                if (element) {
+                    element.style.opacity = '1';
+                    element.style.transform = 'translateY(0)';
+                    element.style.transition = 'all 0.8s ease-out';
+                }
+            }, index * 200);
+        });
+    }
+}
+
+SimplePreloaderAnimations.THEMES = {
+    classic: ClassicPreloaderTheme,
+    pulse: PulsePreloaderTheme,
+    minimal: MinimalPreloaderTheme
+};
+
+SimplePreloaderAnimations.DEFAULTS = {
+    theme: 'classic',
+    minDuration: 1500,   // ms the intro stays up even when everything is cached
+    maxDuration: 8000,   // ms after which the page is shown regardless
+    stallTimeout: 5000,  // ms before a single slow asset stops counting
+    rememberDays: 30     // days a returning visitor skips the intro; 0 always plays it
+};
+
+SimplePreloaderAnimations.STORAGE_KEY = 'portfolio-intro-seen';
+SimplePreloaderAnimations.FORCE_PARAM = 'intro';
+
+SimplePreloaderAnimations.HERO_IMAGES = '#home img, .hero img, img[data-preload]';
+SimplePreloaderAnimations.FIRST_VIDEO = 'main video';
+
+document.addEventListener('DOMContentLoaded', () => {
+    const preloader = document.querySelector('.ts-page-loader');
+    if (preloader) {
+        window.preloaderAnimations = new SimplePreloaderAnimations(SimplePreloaderAnimations.optionsFromElement(preloader));
+    }
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PreloaderTasks,
+        SimplePreloaderAnimations,
+        ClassicPreloaderTheme,
+        PulsePreloaderTheme,
+        MinimalPreloaderTheme
+    };
+}
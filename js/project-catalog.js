@@ -0,0 +1,432 @@
+// 🗂️ Project Catalog for Video Editor Portfolio
+// Loads the works list from data/projects.json, validates it and renders it through ProjectCard
+//
+// Schema — data/projects.json is an array of project objects:
+//   id          string    required  Unique, URL-safe identifier (used by data-project-id and #/works/<id> links)
+//   number      string    required  Display number, e.g. "01"
+//   year        number    required  Year the project was delivered
+//   title       string    required  Project title
+//   type        string    required  Project type, e.g. "Music Video"
+//   services    string[]  required  Services provided, at least one
+//   image       string    required  Cover image path, relative to the site root
+//   description string    required  Short summary shown in the modal
+//   details     string    optional  Longer write-up shown under the description; may use basic formatting
+//                                   tags (p, strong, em, a, lists), anything else is stripped by sanitizeHTML
+//   gallery     string[]  optional  Extra image paths shown in the modal gallery
+//   translations object   optional  Per-language overrides, e.g. { "ja": { "title": "…", "services": […] } },
+//                                   for title, type, services, description and details (see js/i18n.js)
+
+class ProjectValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid project catalog:\n${errors.map(error => `  - ${error.message}`).join('\n')}`);
+        this.name = 'ProjectValidationError';
+        this.errors = errors;
+    }
+}
+
+class ProjectCatalog {
+    constructor(projects) {
+        const errors = ProjectCatalog.validate(projects);
+        if (errors.length > 0) {
+            throw new ProjectValidationError(errors);
+        }
+
+        this.projects = projects;
+        this.cards = [];
+    }
+
+    // Fetch and validate a catalog file
+    static async load(url = ProjectCatalog.DEFAULT_SOURCE) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load project catalog from ${url} (${response.status})`);
+        }
+
+        return new ProjectCatalog(await response.json());
+    }
+
+    // Check a list of projects against the schema and return every problem found
+    static validate(projects) {
+        if (!Array.isArray(projects)) {
+            return [{ index: null, field: null, message: 'Catalog must be an array of projects' }];
+        }
+
+        const errors = [];
+        const seenIds = new Set();
+
+        projects.forEach((project, index) => {
+            const label = project && typeof project.id === 'string' ? `"${project.id}"` : `#${index}`;
+
+            if (!project || typeof project !== 'object' || Array.isArray(project)) {
+                errors.push({ index, field: null, message: `Project ${label} must be an object` });
+                return;
+            }
+
+            Object.entries(ProjectCatalog.SCHEMA).forEach(([field, rule]) => {
+                const value = project[field];
+
+                if (value === undefined || value === null) {
+                    if (rule.required) {
+                        errors.push({ index, field, message: `Project ${label} is missing required field "${field}"` });
+                    }
+                    return;
+                }
+
+                if (!ProjectCatalog.matchesType(value, rule.type)) {
+                    errors.push({ index, field, message: `Project ${label} field "${field}" must be ${rule.type}` });
+                    return;
+                }
+
+                if (rule.type === 'string' && rule.required && value.trim() === '') {
+                    errors.push({ index, field, message: `Project ${label} field "${field}" must not be empty` });
+                }
+
+                if (rule.type === 'string[]' && rule.required && value.length === 0) {
+                    errors.push({ index, field, message: `Project ${label} field "${field}" must list at least one entry` });
+                }
+            });
+
+            if (ProjectCatalog.matchesType(project.translations, 'object')) {
+                ProjectCatalog.validateTranslations(project, label)
+                    .forEach(message => errors.push({ index, field: 'translations', message }));
+            }
+
+            if (typeof project.id === 'string') {
+                if (seenIds.has(project.id)) {
+                    errors.push({ index, field: 'id', message: `Project ${label} has a duplicate id` });
+                }
+                seenIds.add(project.id);
+            }
+        });
+
+        return errors;
+    }
+
+    static validateTranslations(project, label) {
+        const errors = [];
+
+        Object.entries(project.translations).forEach(([language, translation]) => {
+            if (!ProjectCatalog.matchesType(translation, 'object')) {
+                errors.push(`Project ${label} translation "${language}" must be an object`);
+                return;
+            }
+
+            Object.entries(translation).forEach(([field, value]) => {
+                if (!ProjectCatalog.TRANSLATABLE.includes(field)) {
+                    errors.push(`Project ${label} translation "${language}" cannot override "${field}"`);
+                } else if (!ProjectCatalog.matchesType(value, ProjectCatalog.SCHEMA[field].type)) {
+                    errors.push(`Project ${label} translation "${language}" field "${field}" must be ${ProjectCatalog.SCHEMA[field].type}`);
+                } else if (Array.isArray(value) && (!Array.isArray(project[field]) || value.length !== project[field].length)) {
+                    // Arrays translate position by position, so filters can map labels back to canonical values
+                    errors.push(`Project ${label} translation "${language}" field "${field}" must have one entry per "${field}" value`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    static matchesType(value, type) {
+        switch (type) {
+            case 'string':
+                return typeof value === 'string';
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value);
+            case 'string[]':
+                return Array.isArray(value) && value.every(item => typeof item === 'string');
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default:
+                return false;
+        }
+    }
+
+    find(projectId) {
+        return this.projects.find(project => project.id === projectId);
+    }
+
+    // Distinct filter values offered as chips
+    facets() {
+        const unique = values => [...new Set(values)];
+
+        return {
+            services: unique(this.projects.flatMap(project => project.services)).sort(),
+            types: unique(this.projects.map(project => project.type)).sort(),
+            years: unique(this.projects.map(project => project.year)).sort((a, b) => b - a)
+        };
+    }
+
+    // Chip label for a canonical facet value in the active language
+    facetLabel(field, value) {
+        const fields = { service: 'services', type: 'type' };
+        return fields[field] ? I18n.localizeValue(this.projects, fields[field], value) : String(value);
+    }
+
+    // Projects matching a filter, in display order
+    filter({ service = null, type = null, year = null, query = '', sort = 'featured' } = {}) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        const matches = this.projects.filter(project => {
+            if (service && !project.services.includes(service)) return false;
+            if (type && project.type !== type) return false;
+            if (year && project.year !== year) return false;
+
+            // Search the translations too, so a query matches whichever language the visitor types in
+            const translations = Object.values(project.translations || {});
+            const text = [project, ...translations]
+                .flatMap(entry => [entry.title, entry.type, entry.description, ...(entry.services || [])])
+                .concat(project.year)
+                .join(' ')
+                .toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+
+        const compare = ProjectCatalog.SORTERS[sort];
+        return compare ? matches.sort(compare) : matches;
+    }
+
+    // Read a filter from a query string such as ?service=Color+Grading&year=2024
+    static filterFromQuery(search) {
+        const params = new URLSearchParams(search);
+        const year = Number(params.get('year'));
+
+        return {
+            service: params.get('service'),
+            type: params.get('type'),
+            year: Number.isInteger(year) && year > 0 ? year : null,
+            query: params.get('q') || '',
+            sort: ProjectCatalog.SORT_ORDERS.includes(params.get('sort')) ? params.get('sort') : 'featured'
+        };
+    }
+
+    // Write a filter into a query string, keeping any unrelated parameters
+    static filterToQuery(filter, search = '') {
+        const params = new URLSearchParams(search);
+        const values = {
+            service: filter.service,
+            type: filter.type,
+            year: filter.year,
+            q: filter.query,
+            sort: filter.sort === 'featured' ? null : filter.sort
+        };
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value);
+            } else {
+                params.delete(key);
+            }
+        });
+
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
+    render() {
+        return this.projects.map(project => new ProjectCard(I18n.localize(project)).render()).join('');
+    }
+
+    // Mount one ProjectCard per project, adopting cards that were prerendered into the container
+    renderInto(container) {
+        this.unmountCards();
+
+        // Prerendered cards are in the default language and can only be reused in it
+        const reusable = I18n.language === I18n.DEFAULT_LANGUAGE
+            ? container.querySelectorAll(':scope > [data-project-id]')
+            : [];
+        const prerendered = new Map(
+            Array.from(reusable).map(element => [element.dataset.projectId, element])
+        );
+
+        container.innerHTML = '';
+
+        this.cards = this.projects.map(project => {
+            const card = new ProjectCard(I18n.localize(project));
+            const element = prerendered.get(project.id);
+
+            if (element) {
+                container.appendChild(element);
+                card.hydrate(element);
+            } else {
+                card.mount(container);
+            }
+
+            return card;
+        });
+    }
+
+    unmountCards() {
+        this.cards.forEach(card => card.destroy());
+        this.cards = [];
+    }
+
+    // Re-render the mounted cards in the active language, keeping them filtered as they were
+    localizeCards() {
+        this.cards.forEach(card => {
+            const hidden = card.element.hidden;
+            card.update({ project: I18n.localize(this.find(card.project.id)) });
+            card.element.hidden = hidden;
+        });
+    }
+
+    // Show the mounted cards that match a filter, in its order, and return how many are visible
+    applyFilter(filter, { animate = true } = {}) {
+        const visible = this.filter(filter);
+        const visibleIds = new Set(visible.map(project => project.id));
+        const cardsById = new Map(this.cards.map(card => [card.project.id, card]));
+        const canAnimate = animate && typeof gsap !== 'undefined' &&
+            !window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+        const leaving = [];
+        const entering = [];
+
+        this.cards.forEach(card => {
+            const element = card.element;
+            const shown = visibleIds.has(card.project.id);
+
+            if (canAnimate) gsap.killTweensOf(element);
+
+            if (shown && element.hidden) {
+                entering.push(element);
+            } else if (!shown && !element.hidden) {
+                leaving.push(element);
+            } else if (shown && canAnimate) {
+                // Settle cards caught halfway through an interrupted fade
+                gsap.to(element, { autoAlpha: 1, y: 0, duration: 0.3 });
+            }
+        });
+
+        const reorder = () => {
+            // Hidden cards keep their place at the end, so clearing the filter restores the full list
+            const container = this.cards.length ? this.cards[0].element.parentElement : null;
+            if (!container) return;
+
+            visible.forEach(project => container.appendChild(cardsById.get(project.id).element));
+            this.cards
+                .filter(card => !visibleIds.has(card.project.id))
+                .forEach(card => container.appendChild(card.element));
+
+            if (typeof ScrollTrigger !== 'undefined') ScrollTrigger.refresh();
+        };
+
+        const swap = () => {
+            leaving.forEach(element => { element.hidden = true; });
+            entering.forEach(element => { element.hidden = false; });
+            reorder();
+        };
+
+        if (!canAnimate) {
+            swap();
+            return visible.length;
+        }
+
+        // Fade out what no longer matches, then reorder and bring in the new matches
+        const bringIn = () => {
+            swap();
+            if (entering.length === 0) return;
+
+            gsap.fromTo(entering, { autoAlpha: 0, y: 30 }, {
+                autoAlpha: 1,
+                y: 0,
+                duration: 0.5,
+                ease: 'power2.out',
+                stagger: 0.08
+            });
+        };
+
+        if (leaving.length === 0) {
+            bringIn();
+        } else {
+            gsap.to(leaving, {
+                autoAlpha: 0,
+                y: -20,
+                duration: 0.3,
+                ease: 'power2.in',
+                onComplete: bringIn
+            });
+        }
+
+        return visible.length;
+    }
+}
+
+ProjectCatalog.DEFAULT_SOURCE = 'data/projects.json';
+
+// Sort orders offered by the works filter, in menu order; featured keeps the catalog order
+ProjectCatalog.SORTERS = {
+    featured: null,
+    newest: (a, b) => b.year - a.year,
+    oldest: (a, b) => a.year - b.year
+};
+ProjectCatalog.SORT_ORDERS = Object.keys(ProjectCatalog.SORTERS);
+
+ProjectCatalog.SCHEMA = {
+    id: { type: 'string', required: true },
+    number: { type: 'string', required: true },
+    year: { type: 'number', required: true },
+    title: { type: 'string', required: true },
+    type: { type: 'string', required: true },
+    services: { type: 'string[]', required: true },
+    image: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    details: { type: 'string', required: false },
+    gallery: { type: 'string[]', required: false },
+    translations: { type: 'object', required: false }
+};
+
+// Fields a translation may override
+ProjectCatalog.TRANSLATABLE = ['title', 'type', 'services', 'description', 'details'];
+
+// Filter chips above the works list; the active filter lives in the query string so views can be shared
+function setupWorksFilter(catalog, container) {
+    const filter = ProjectCatalog.filterFromQuery(window.location.search);
+    const total = catalog.projects.length;
+
+    const worksFilter = new WorksFilter({
+        facets: catalog.facets(),
+        labelFor: (field, value) => catalog.facetLabel(field, value),
+        filter,
+        onChange: next => {
+            worksFilter.setResultCount(catalog.applyFilter(next), total);
+
+            const url = window.location.pathname + ProjectCatalog.filterToQuery(next, window.location.search) + window.location.hash;
+            history.replaceState(history.state, '', url);
+        }
+    }).mount(container);
+
+    worksFilter.setResultCount(catalog.applyFilter(filter, { animate: false }), total);
+    window.worksFilter = worksFilter;
+
+    document.addEventListener('languagechange', () => worksFilter.update());
+}
+
+// Render the works list when the page provides a container for it
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        const worksList = document.querySelector('[data-projects-src]');
+        if (!worksList) return;
+
+        Promise.all([ProjectCatalog.load(worksList.dataset.projectsSrc || ProjectCatalog.DEFAULT_SOURCE), I18n.ready])
+            .then(([catalog]) => {
+                window.projectCatalog = catalog;
+                window.portfolioProjects = catalog.projects;
+                catalog.renderInto(worksList);
+                ProjectCard.setupModalEvents();
+
+                document.addEventListener('languagechange', () => catalog.localizeCards());
+
+                const filterContainer = document.querySelector('[data-works-filter]');
+                if (filterContainer) {
+                    setupWorksFilter(catalog, filterContainer);
+                }
+            })
+            .catch(error => {
+                console.error(error.message);
+            });
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProjectCatalog, ProjectValidationError };
+}
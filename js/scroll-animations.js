@@ -1,14 +1,22 @@
 // 🎬 Advanced Scroll Animations for Video Editor Portfolio
 // Modern, smooth animations perfect for showcasing video editing skills
+//
+// Durations and staggers (in seconds) come from this.timing, see AdvancedScrollAnimations.TIMING;
+// setTiming() changes one live, e.g. from the tuning panel.
 
 class AdvancedScrollAnimations {
-    constructor() {
+    constructor(timing = {}) {
         this.isMobile = window.innerWidth <= 768;
         this.prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        this.timing = { ...AdvancedScrollAnimations.TIMING, ...timing };
+        this.baseTimeScale = 1;
+        this.entranceAnimations = [];
         this.init();
     }
 
     init() {
+        this.applyTimeScale();
+
         // Respect user's motion preferences
         if (this.prefersReducedMotion) {
             this.setupReducedMotionFallbacks();
@@ -26,19 +34,61 @@ class AdvancedScrollAnimations {
         this.setupMobileOptimizations();
     }
 
+    // Change one timing value; entrance animations are rebuilt so the change shows right away
+    setTiming(name, value) {
+        if (!(name in AdvancedScrollAnimations.TIMING)) {
+            throw new Error(`Unknown scroll animation timing "${name}"`);
+        }
+
+        this.timing[name] = value;
+
+        if (name === 'speed') {
+            this.applyTimeScale();
+        } else if (AdvancedScrollAnimations.ENTRANCE_TIMINGS.includes(name) && !this.prefersReducedMotion) {
+            this.refreshEntranceAnimations();
+        }
+    }
+
+    // Device adjustments (mobile, low-end) scale on top of the tuned speed
+    setBaseTimeScale(scale) {
+        this.baseTimeScale = scale;
+        this.applyTimeScale();
+    }
+
+    applyTimeScale() {
+        gsap.globalTimeline.timeScale(this.baseTimeScale * this.timing.speed);
+    }
+
+    // Scroll-triggered entrances are kept so they can be rebuilt with new timings
+    trackEntrance(animation) {
+        this.entranceAnimations.push(animation);
+        return animation;
+    }
+
+    refreshEntranceAnimations() {
+        this.entranceAnimations.splice(0).forEach(animation => {
+            if (animation.scrollTrigger) animation.scrollTrigger.kill();
+            animation.kill();
+        });
+
+        this.setupScrollTriggerAnimations();
+        this.animateSplitText();
+        this.setupSectionTransitions();
+    }
+
     setupScrollTriggerAnimations() {
         // Smooth fade in from bottom
         gsap.registerPlugin(ScrollTrigger);
 
         // Section headers with stagger
-        gsap.fromTo(".section-transition", {
+        this.trackEntrance(gsap.fromTo(".section-transition", {
             y: this.isMobile ? 50 : 100,
             opacity: 0,
         }, {
             y: 0,
             opacity: 1,
-            duration: this.isMobile ? 0.6 : 1,
-            stagger: this.isMobile ? 0.1 : 0.2,
+            duration: this.timing.revealDuration * (this.isMobile ? 0.6 : 1),
+            stagger: this.timing.revealStagger * (this.isMobile ? 0.5 : 1),
             ease: "power3.out",
             scrollTrigger: {
                 trigger: ".section-transition",
@@ -46,10 +96,10 @@ class AdvancedScrollAnimations {
                 end: "bottom 20%",
                 toggleActions: "play none none reverse"
             }
-        });
+        }));
 
         // Video cards animation
-        gsap.fromTo(".video-item", {
+        this.trackEntrance(gsap.fromTo(".video-item", {
             scale: 0.8,
             y: 50,
             opacity: 0,
@@ -57,18 +107,18 @@ class AdvancedScrollAnimations {
             scale: 1,
             y: 0,
             opacity: 1,
-            duration: 0.8,
-            stagger: 0.1,
+            duration: this.timing.videoDuration,
+            stagger: this.timing.videoStagger,
             ease: "back.out(1.7)",
             scrollTrigger: {
                 trigger: ".video-scroll-gallery",
                 start: "top 85%",
                 toggleActions: "play none none reverse"
             }
-        });
+        }));
 
         // Tools/Software icons animation
-        gsap.fromTo(".grid-item", {
+        this.trackEntrance(gsap.fromTo(".grid-item", {
             rotateY: 90,
             opacity: 0,
             scale: 0.5,
@@ -76,18 +126,18 @@ class AdvancedScrollAnimations {
             rotateY: 0,
             opacity: 1,
             scale: 1,
-            duration: 0.8,
-            stagger: 0.05,
+            duration: this.timing.toolDuration,
+            stagger: this.timing.toolStagger,
             ease: "power3.out",
             scrollTrigger: {
                 trigger: ".grids",
                 start: "top 80%",
                 toggleActions: "play none none reverse"
             }
-        });
+        }));
 
         // Main video container dramatic reveal
-        gsap.fromTo(".main-video-container", {
+        this.trackEntrance(gsap.fromTo(".main-video-container", {
             scale: 0.9,
             y: 100,
             opacity: 0,
@@ -95,14 +145,14 @@ class AdvancedScrollAnimations {
             scale: 1,
             y: 0,
             opacity: 1,
-            duration: 1.2,
+            duration: this.timing.mainVideoDuration,
             ease: "power3.out",
             scrollTrigger: {
                 trigger: ".main-video-container",
                 start: "top 70%",
                 toggleActions: "play none none reverse"
             }
-        });
+        }));
     }
 
     setupParallaxEffects() {
@@ -172,26 +222,10 @@ class AdvancedScrollAnimations {
             ).join('');
             
             element.innerHTML = letters;
-            
-            gsap.fromTo(element.querySelectorAll('.letter'), {
-                opacity: 0,
-                y: 50,
-                rotateX: 90,
-            }, {
-                opacity: 1,
-                y: 0,
-                rotateX: 0,
-                duration: 0.05,
-                stagger: 0.02,
-                ease: "power3.out",
-                scrollTrigger: {
-                    trigger: element,
-                    start: "top 85%",
-                    toggleActions: "play none none reverse"
-                }
-            });
         });
 
+        this.animateSplitText();
+
         // Gradient text reveal
         gsap.fromTo(".gradient-reveal", {
             backgroundPosition: "-100% 0",
@@ -207,10 +241,56 @@ class AdvancedScrollAnimations {
         });
     }
 
+    // Letter-by-letter reveal for the text split above
+    animateSplitText() {
+        document.querySelectorAll('.split-text').forEach(element => {
+            this.trackEntrance(gsap.fromTo(element.querySelectorAll('.letter'), {
+                opacity: 0,
+                y: 50,
+                rotateX: 90,
+            }, {
+                opacity: 1,
+                y: 0,
+                rotateX: 0,
+                duration: this.timing.letterDuration,
+                stagger: this.timing.letterStagger,
+                ease: "power3.out",
+                scrollTrigger: {
+                    trigger: element,
+                    start: "top 85%",
+                    toggleActions: "play none none reverse"
+                }
+            }));
+        });
+    }
+
     setupVideoGalleryAnimations() {
         // Smooth video thumbnail hover effects
-        const videoItems = document.querySelectorAll('.video-item');
-        
+        this.setupVideoItemHovers(document.querySelectorAll('.video-item'));
+
+        // Thumbnails rendered later from the video manifest get the same effects
+        document.addEventListener('videogallery:render', (e) => {
+            this.setupVideoItemHovers(e.detail.items);
+        });
+
+        // Gallery navigation animations
+        const navButtons = document.querySelectorAll('.gallery-nav-btn');
+        navButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                gsap.fromTo(btn, {
+                    scale: 0.9,
+                }, {
+                    scale: 1.1,
+                    duration: 0.1,
+                    yoyo: true,
+                    repeat: 1,
+                    ease: "power2.out"
+                });
+            });
+        });
+    }
+
+    setupVideoItemHovers(videoItems) {
         videoItems.forEach(item => {
             const video = item.querySelector('video');
             const overlay = item.querySelector('.absolute');
@@ -220,13 +300,13 @@ class AdvancedScrollAnimations {
                 gsap.to(item, {
                     scale: 1.05,
                     y: -10,
-                    duration: 0.4,
+                    duration: this.timing.hoverDuration,
                     ease: "power3.out"
                 });
                 
                 gsap.to(overlay, {
                     opacity: 1,
-                    duration: 0.3
+                    duration: this.timing.buttonDuration
                 });
                 
                 if (video) video.play();
@@ -237,34 +317,18 @@ class AdvancedScrollAnimations {
                 gsap.to(item, {
                     scale: 1,
                     y: 0,
-                    duration: 0.4,
+                    duration: this.timing.hoverDuration,
                     ease: "power3.out"
                 });
                 
                 gsap.to(overlay, {
                     opacity: 0,
-                    duration: 0.3
+                    duration: this.timing.buttonDuration
                 });
                 
                 if (video) video.pause();
             });
         });
-
-        // Gallery navigation animations
-        const navButtons = document.querySelectorAll('.gallery-nav-btn');
-        navButtons.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                gsap.fromTo(btn, {
-                    scale: 0.9,
-                }, {
-                    scale: 1.1,
-                    duration: 0.1,
-                    yoyo: true,
-                    repeat: 1,
-                    ease: "power2.out"
-                });
-            });
-        });
     }
 
     setupSectionTransitions() {
@@ -273,24 +337,24 @@ class AdvancedScrollAnimations {
         
         sections.forEach(section => {
             // Add a subtle entrance animation
-            gsap.fromTo(section, {
+            this.trackEntrance(gsap.fromTo(section, {
                 opacity: 0,
                 y: 30,
             }, {
                 opacity: 1,
                 y: 0,
-                duration: 1,
+                duration: this.timing.sectionDuration,
                 ease: "power2.out",
                 scrollTrigger: {
                     trigger: section,
                     start: "top 90%",
                     toggleActions: "play none none reverse"
                 }
-            });
+            }));
         });
 
         // Progress indicator
-        gsap.to(".progress-bar", {
+        this.trackEntrance(gsap.to(".progress-bar", {
             scaleX: 1,
             transformOrigin: "left center",
             ease: "none",
@@ -300,7 +364,7 @@ class AdvancedScrollAnimations {
                 end: "bottom bottom",
                 scrub: true
             }
-        });
+        }));
     }
 
     setupHoverAnimations() {
@@ -311,7 +375,7 @@ class AdvancedScrollAnimations {
             button.addEventListener('mouseenter', () => {
                 gsap.to(button, {
                     scale: 1.05,
-                    duration: 0.3,
+                    duration: this.timing.buttonDuration,
                     ease: "power2.out"
                 });
             });
@@ -319,7 +383,7 @@ class AdvancedScrollAnimations {
             button.addEventListener('mouseleave', () => {
                 gsap.to(button, {
                     scale: 1,
-                    duration: 0.3,
+                    duration: this.timing.buttonDuration,
                     ease: "power2.out"
                 });
             });
@@ -332,7 +396,7 @@ class AdvancedScrollAnimations {
                 gsap.to(img, {
                     scale: 1.02,
                     filter: "brightness(1.1)",
-                    duration: 0.4,
+                    duration: this.timing.hoverDuration,
                     ease: "power2.out"
                 });
             });
@@ -341,7 +405,7 @@ class AdvancedScrollAnimations {
                 gsap.to(img, {
                     scale: 1,
                     filter: "brightness(1)",
-                    duration: 0.4,
+                    duration: this.timing.hoverDuration,
                     ease: "power2.out"
                 });
             });
@@ -361,7 +425,7 @@ class AdvancedScrollAnimations {
                 gsap.to(element, {
                     x: x * 0.3,
                     y: y * 0.3,
-                    duration: 0.3,
+                    duration: this.timing.buttonDuration,
                     ease: "power2.out"
                 });
             });
@@ -463,7 +527,7 @@ class AdvancedScrollAnimations {
     // Smooth scroll to sections
     scrollToSection(sectionId) {
         gsap.to(window, {
-            duration: 1.5,
+            duration: this.timing.scrollDuration,
             scrollTo: {
                 y: sectionId,
                 autoKill: false
@@ -484,7 +548,7 @@ class AdvancedScrollAnimations {
     setupMobileOptimizations() {
         if (this.isMobile) {
             // Reduce animation intensity on mobile
-            gsap.globalTimeline.timeScale(1.5); // Speed up animations by 50%
+            this.setBaseTimeScale(1.5); // Speed up animations by 50%
             
             // Disable complex animations on mobile for performance
             gsap.set(".floating-element", { clearProps: "all" });
@@ -564,7 +628,7 @@ class AdvancedScrollAnimations {
         
         // Reduce animation frequency on low-end devices
         if (navigator.hardwareConcurrency && navigator.hardwareConcurrency < 4) {
-            gsap.globalTimeline.timeScale(2); // Double speed to reduce duration
+            this.setBaseTimeScale(2); // Double speed to reduce duration
         }
         
         // Throttle scroll animations on mobile
@@ -584,14 +648,38 @@ class AdvancedScrollAnimations {
     // Method to toggle animations based on performance
     toggleHighPerformanceMode(enable) {
         if (enable) {
-            gsap.globalTimeline.timeScale(2);
+            this.setBaseTimeScale(2);
             gsap.set(".floating-element, .magnetic", { clearProps: "all" });
         } else {
-            gsap.globalTimeline.timeScale(1);
+            this.setBaseTimeScale(1);
         }
     }
 }
 
+// Default timings in seconds; speed scales every GSAP animation on the page
+AdvancedScrollAnimations.TIMING = {
+    speed: 1,
+    revealDuration: 1,
+    revealStagger: 0.2,
+    videoDuration: 0.8,
+    videoStagger: 0.1,
+    toolDuration: 0.8,
+    toolStagger: 0.05,
+    mainVideoDuration: 1.2,
+    letterDuration: 0.05,
+    letterStagger: 0.02,
+    sectionDuration: 1,
+    hoverDuration: 0.4,
+    buttonDuration: 0.3,
+    scrollDuration: 1.5
+};
+
+// Timings baked into the scroll-triggered entrances, which need rebuilding when they change
+AdvancedScrollAnimations.ENTRANCE_TIMINGS = [
+    'revealDuration', 'revealStagger', 'videoDuration', 'videoStagger', 'toolDuration', 'toolStagger',
+    'mainVideoDuration', 'letterDuration', 'letterStagger', 'sectionDuration'
+];
+
 // Initialize animations when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     // Wait for GSAP to load
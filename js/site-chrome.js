@@ -0,0 +1,41 @@
+// 🧭 Site Chrome for Video Editor Portfolio
+// Attaches behaviour to the header, menu and footer that scripts/prerender.js writes into each page
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Embedded pages rely on the host page's chrome
+    if (window.self !== window.top) {
+        document.documentElement.classList.add('is-embedded');
+        return;
+    }
+
+    // Keep the basePath the page was prerendered with, so re-renders link to the same place
+    const logo = document.querySelector('#header .ts-logo');
+    const props = { basePath: logo ? logo.getAttribute('href').split('#')[0] : '' };
+
+    const header = document.getElementById('header');
+    if (header) {
+        window.siteHeader = new Header(props).hydrate(header);
+    }
+
+    const menu = document.getElementById('menu');
+    if (menu) {
+        window.mobileMenu = new MobileMenu(props).hydrate(menu);
+    }
+
+    const footer = document.getElementById('footer-wrapper');
+    if (footer) {
+        window.siteFooter = new Footer(props).hydrate(footer);
+    }
+
+    // The prerendered markup is in the default language; re-render it for any other
+    const chrome = [window.siteHeader, window.siteFooter, window.mobileMenu].filter(Boolean);
+    const localize = () => chrome.forEach(component => component.update());
+
+    I18n.ready.then(() => {
+        if (I18n.language !== I18n.DEFAULT_LANGUAGE) localize();
+        document.addEventListener('languagechange', localize);
+    }).catch(error => {
+        // Without any messages the prerendered English markup stays as it is
+        console.error(error.message);
+    });
+});
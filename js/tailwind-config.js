@@ -0,0 +1,74 @@
+// 🎨 Tailwind Config for Video Editor Portfolio
+// Theme extensions shared by every page that builds utilities with the Tailwind CDN
+//
+// The prerendered header, menu and footer use these (text-pampas, border-silver, rounded-30...),
+// so every page loads this right after the CDN script:
+//   <script src="https://cdn.tailwindcss.com"></script>
+//   <script src="js/tailwind-config.js"></script>
+//
+// Pages with their own base styles keep them with data-preflight="false", which turns off
+// Tailwind's reset; css/tailwind-optimized.css resets just the shared chrome on those pages.
+
+const TAILWIND_THEME = {
+    extend: {
+        // Palette values live in css/tailwind-optimized.css and change with the colour scheme
+        colors: {
+            'taupe-gray': 'var(--taupe-gray)',
+            'pampas': 'var(--pampas)',
+            'mine-shaft': 'var(--mine-shaft)',
+            'silver-chalice': 'var(--silver-chalice)',
+            'emperor': 'var(--emperor)',
+            'gray': 'var(--gray)',
+            'silver': 'var(--silver)',
+        },
+        fontFamily: {
+            outfit: ['Outfit', 'sans-serif'],
+            montserrat: ['Montserrat', 'sans-serif'],
+            elsie: ['"Elsie Swash Caps"', 'serif'],
+        },
+        spacing: {
+            '0.375': '0.375rem',
+            '1.4': '1.4rem',
+            '1.42': '1.42rem',
+            '1.14': '1.14rem',
+            '0.85': '0.85rem',
+            '4.6': '4.6rem',
+            '5.5': '5.5rem',
+            '15.5': '15.5rem',
+            '17.5': '17.5rem',
+            '22.2': '22.2rem',
+            '37': '9.25rem',
+            '41': '10.25rem',
+            '46': '11.5rem',
+        },
+        fontSize: {
+            '0.928': '0.928rem',
+            '1.4': '1.4rem',
+            '1.75': '1.75rem',
+            '2.625': '2.625rem',
+            '6.5': '6.5rem',
+        },
+        borderRadius: {
+            '30': '30px',
+        },
+        transitionDuration: {
+            '600': '600ms',
+        },
+    }
+};
+
+if (typeof tailwind !== 'undefined') {
+    const script = document.currentScript;
+
+    tailwind.config = {
+        corePlugins: {
+            preflight: !(script && script.dataset.preflight === 'false')
+        },
+        theme: TAILWIND_THEME
+    };
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TAILWIND_THEME;
+}
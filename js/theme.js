@@ -0,0 +1,100 @@
+// 🌓 Colour Scheme for Video Editor Portfolio
+// Site-wide light/dark switching on top of the palette variables in css/tailwind-optimized.css
+//
+// The scheme is set as <html data-color-scheme="light|dark"> and only swaps variable values,
+// so Tailwind classes (text-pampas, border-silver...) and section themes follow it automatically.
+// A saved choice wins; without one the page follows prefers-color-scheme, live.
+// Loaded in <head> so the first paint already uses the right scheme.
+
+class Theme {
+    static isSupported(scheme) {
+        return Theme.SCHEMES.includes(scheme);
+    }
+
+    static saved() {
+        try {
+            const scheme = localStorage.getItem(Theme.STORAGE_KEY);
+            return Theme.isSupported(scheme) ? scheme : null;
+        } catch (error) {
+            // Storage can be unavailable (private mode, blocked cookies)
+            return null;
+        }
+    }
+
+    static systemPreference() {
+        return window.matchMedia && window.matchMedia(Theme.MEDIA_QUERY).matches ? 'dark' : 'light';
+    }
+
+    static get scheme() {
+        return document.documentElement.dataset.colorScheme || Theme.systemPreference();
+    }
+
+    static apply(scheme) {
+        const changed = document.documentElement.dataset.colorScheme !== scheme;
+        document.documentElement.dataset.colorScheme = scheme;
+
+        if (changed) {
+            document.dispatchEvent(new CustomEvent('colorschemechange', { detail: { scheme } }));
+        }
+    }
+
+    // Switch scheme; persisting it stops the page from following the system setting
+    static set(scheme, { persist = true } = {}) {
+        if (!Theme.isSupported(scheme)) {
+            throw new Error(`Unsupported colour scheme "${scheme}"`);
+        }
+
+        if (persist) {
+            try {
+                localStorage.setItem(Theme.STORAGE_KEY, scheme);
+            } catch (error) {
+                // The choice simply won't be remembered
+            }
+        }
+
+        Theme.apply(scheme);
+    }
+
+    static toggle() {
+        Theme.set(Theme.scheme === 'dark' ? 'light' : 'dark');
+    }
+
+    // Back to following prefers-color-scheme
+    static reset() {
+        try {
+            localStorage.removeItem(Theme.STORAGE_KEY);
+        } catch (error) {
+            // Nothing was saved
+        }
+
+        Theme.apply(Theme.systemPreference());
+    }
+
+    static init() {
+        Theme.apply(Theme.saved() || Theme.systemPreference());
+
+        if (window.matchMedia) {
+            window.matchMedia(Theme.MEDIA_QUERY).addEventListener('change', () => {
+                if (!Theme.saved()) Theme.apply(Theme.systemPreference());
+            });
+        }
+
+        // Keep other tabs and the embedded pages (hero, biography) in step
+        window.addEventListener('storage', (e) => {
+            if (e.key === Theme.STORAGE_KEY) Theme.apply(Theme.saved() || Theme.systemPreference());
+        });
+    }
+}
+
+Theme.SCHEMES = ['light', 'dark'];
+Theme.STORAGE_KEY = 'portfolio-color-scheme';
+Theme.MEDIA_QUERY = '(prefers-color-scheme: dark)';
+
+if (typeof document !== 'undefined') {
+    Theme.init();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Theme;
+}
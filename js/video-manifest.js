@@ -0,0 +1,160 @@
+// 🎞️ Video Manifest for Video Editor Portfolio
+// Single source of truth for every video shown by the gallery, the video modal and the coverflow page
+//
+// Schema — data/videos.json is an array of video objects:
+//   id          string    required  Unique identifier (used by data-video-id)
+//   src         string    required  Video file path, relative to the site root
+//   poster      string    required  Poster image path shown before playback
+//   title       string    required  Video title
+//   description string    required  One-line description
+//   tags        string[]  required  Tags shown as pills, at least one
+//   duration    number    required  Running time in seconds
+//   translations object   optional  Per-language overrides of title, description and tags,
+//                                   e.g. { "ja": { "title": "…", "tags": […] } } (see js/i18n.js)
+
+class VideoManifest {
+    constructor(videos) {
+        const errors = VideoManifest.validate(videos);
+        if (errors.length > 0) {
+            throw new Error(`Invalid video manifest:\n${errors.map(message => `  - ${message}`).join('\n')}`);
+        }
+
+        this.videos = videos;
+    }
+
+    // Fetch the manifest once per URL so every consumer shares the same copy
+    static load(url = VideoManifest.DEFAULT_SOURCE) {
+        if (!VideoManifest.cache.has(url)) {
+            const request = fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load video manifest from ${url} (${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(videos => new VideoManifest(videos));
+
+            // Allow a retry after a failed request
+            request.catch(() => VideoManifest.cache.delete(url));
+            VideoManifest.cache.set(url, request);
+        }
+
+        return VideoManifest.cache.get(url);
+    }
+
+    static validate(videos) {
+        if (!Array.isArray(videos)) {
+            return ['Manifest must be an array of videos'];
+        }
+
+        const errors = [];
+        const seenIds = new Set();
+
+        videos.forEach((video, index) => {
+            const label = video && typeof video.id === 'string' ? `"${video.id}"` : `#${index}`;
+
+            if (!video || typeof video !== 'object' || Array.isArray(video)) {
+                errors.push(`Video ${label} must be an object`);
+                return;
+            }
+
+            Object.entries(VideoManifest.SCHEMA).forEach(([field, type]) => {
+                const value = video[field];
+                const valid = type === 'string[]'
+                    ? Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string')
+                    : type === 'number'
+                        ? typeof value === 'number' && Number.isFinite(value) && value >= 0
+                        : typeof value === 'string' && value.trim() !== '';
+
+                if (value === undefined || value === null) {
+                    errors.push(`Video ${label} is missing required field "${field}"`);
+                } else if (!valid) {
+                    errors.push(`Video ${label} field "${field}" must be ${type === 'number' ? 'a non-negative number' : `a non-empty ${type}`}`);
+                }
+            });
+
+            if (video.translations !== undefined) {
+                errors.push(...VideoManifest.validateTranslations(video, label));
+            }
+
+            if (typeof video.id === 'string') {
+                if (seenIds.has(video.id)) {
+                    errors.push(`Video ${label} has a duplicate id`);
+                }
+                seenIds.add(video.id);
+            }
+        });
+
+        return errors;
+    }
+
+    static validateTranslations(video, label) {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(video.translations)) {
+            return [`Video ${label} field "translations" must be an object`];
+        }
+
+        const errors = [];
+
+        Object.entries(video.translations).forEach(([language, translation]) => {
+            if (!isObject(translation)) {
+                errors.push(`Video ${label} translation "${language}" must be an object`);
+                return;
+            }
+
+            Object.entries(translation).forEach(([field, value]) => {
+                if (!VideoManifest.TRANSLATABLE.includes(field)) {
+                    errors.push(`Video ${label} translation "${language}" cannot override "${field}"`);
+                } else if (field === 'tags') {
+                    // Tags translate position by position, so tag filters keep working across languages
+                    if (!Array.isArray(value) || !Array.isArray(video.tags) || value.length !== video.tags.length ||
+                        !value.every(tag => typeof tag === 'string')) {
+                        errors.push(`Video ${label} translation "${language}" field "tags" must have one string per tag`);
+                    }
+                } else if (typeof value !== 'string' || value.trim() === '') {
+                    errors.push(`Video ${label} translation "${language}" field "${field}" must be a non-empty string`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    // Format a duration in seconds as m:ss
+    static formatDuration(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
+    }
+
+    find(videoId) {
+        return this.videos.find(video => video.id === videoId);
+    }
+
+    indexOf(videoId) {
+        return this.videos.findIndex(video => video.id === videoId);
+    }
+}
+
+VideoManifest.DEFAULT_SOURCE = 'data/videos.json';
+
+VideoManifest.SCHEMA = {
+    id: 'string',
+    src: 'string',
+    poster: 'string',
+    title: 'string',
+    description: 'string',
+    tags: 'string[]',
+    duration: 'number'
+};
+
+// Fields a translation may override
+VideoManifest.TRANSLATABLE = ['title', 'description', 'tags'];
+
+VideoManifest.cache = new Map();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VideoManifest;
+}
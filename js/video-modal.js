@@ -0,0 +1,127 @@
+// 🎬 Video Modal for Video Editor Portfolio
+// Plays a video from the shared manifest in an accessible dialog (see components/Dialog.js)
+//
+// Any element with data-video-modal opens it. data-video-id picks the manifest entry; without a
+// manifest the element's data-video, data-title and data-description are used instead:
+//   <button type="button" data-video-modal data-video-id="pakistan">Watch</button>
+//   VideoModal.open(video, trigger)   from code, with a manifest entry
+
+class VideoModal {
+    // Delegate clicks so triggers rendered later are handled too
+    static setup() {
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-video-modal]');
+            if (!trigger) return;
+
+            VideoModal.resolve(trigger).then(video => {
+                if (video) {
+                    VideoModal.open(video, trigger);
+                }
+            });
+        });
+    }
+
+    // Look up the manifest entry for a trigger, falling back to its data attributes
+    static resolve(trigger) {
+        const fallback = trigger.dataset.video ? {
+            src: trigger.dataset.video,
+            title: trigger.dataset.title || '',
+            description: trigger.dataset.description || '',
+            tags: []
+        } : null;
+
+        if (!trigger.dataset.videoId || typeof VideoManifest === 'undefined') {
+            return Promise.resolve(fallback);
+        }
+
+        return VideoManifest.load()
+            .then(manifest => {
+                const video = manifest.find(trigger.dataset.videoId);
+                return video ? I18n.localize(video) : fallback;
+            })
+            .catch(() => fallback);
+    }
+
+    static open(video, trigger = document.activeElement) {
+        // Create modal overlay
+        const modal = document.createElement('div');
+        modal.className = 'video-modal fixed inset-0 z-50 bg-black/90 flex items-center justify-center p-4';
+        modal.style.opacity = '0';
+        modal.style.transition = 'opacity 0.3s ease-out';
+
+        const tags = video.tags || [];
+        const duration = typeof video.duration === 'number' && typeof VideoManifest !== 'undefined'
+            ? VideoManifest.formatDuration(video.duration)
+            : '';
+
+        // Modal content
+        modal.innerHTML = html`
+            <div class="modal-content bg-black rounded-xl overflow-hidden max-w-4xl w-full max-h-[80vh]">
+                <div class="relative">
+                    <video class="w-full h-auto" controls autoplay poster="${video.poster || ''}">
+                        <source src="${video.src}" type="video/mp4">
+                    </video>
+                    <button class="close-modal absolute top-4 right-4 w-10 h-10 bg-black/50 rounded-full flex items-center justify-center text-white hover:bg-black/70 transition-colors" aria-label="${I18n.t('videos.close')}">
+                        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                        </svg>
+                    </button>
+                </div>
+                <div class="p-6 text-white">
+                    <div class="flex items-baseline justify-between gap-4 mb-2">
+                        <h3 id="video-modal-title" class="text-xl font-medium">${video.title}</h3>
+                        ${duration ? html`<span class="text-sm text-gray-400">${duration}</span>` : ''}
+                    </div>
+                    <p class="text-gray-300">${video.description}</p>
+                    ${tags.length > 0 ? html`
+                        <div class="flex flex-wrap gap-2 mt-4">
+                            ${tags.map(tag => html`<span class="text-sm bg-white/20 px-3 py-1 rounded-full">${tag}</span>`)}
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        // Close handlers; the dialog removes its document listeners however the modal is closed
+        const dialog = new Dialog(modal, {
+            labelledBy: 'video-modal-title',
+            initialFocus: '.close-modal',
+            onRequestClose: () => closeModal()
+        });
+
+        const closeModal = () => {
+            if (!dialog.isOpen) return;
+
+            dialog.close();
+            modal.querySelector('video').pause();
+            modal.style.opacity = '0';
+            setTimeout(() => {
+                modal.remove();
+            }, 300);
+        };
+
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        // Show modal
+        dialog.open(trigger);
+        setTimeout(() => {
+            modal.style.opacity = '1';
+        }, 10);
+
+        return modal;
+    }
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => VideoModal.setup());
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VideoModal;
+}
@@ -0,0 +1,361 @@
+// 🔍 Content Integrity Checker for Video Editor Portfolio
+// Scans pages, component templates and data files for broken or fragile asset references
+//
+// Usage:
+//   node scripts/check-content.js [--strict] [--ignore=<path prefix>] [--max-image-kb=1024] [--max-video-mb=50]
+//
+// Errors (always fail the run):
+//   - references to files that do not exist (with a suggestion when a similar file exists)
+//   - projects in data/projects.json or videos in data/videos.json that break their schema
+//   - message files in locales/ that are not valid JSON
+// Warnings (fail the run only with --strict):
+//   - references containing whitespace, e.g. "videos/Sahiba .mp4"
+//   - message keys present in locales/en.json but missing from another language
+//   - byte-identical duplicate files in images/
+//   - files in images/ that nothing references
+//   - images or videos above the size limits
+//
+// Exits with status 1 when the run fails, so publishing can be gated on it.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { ProjectCatalog } = require('../js/project-catalog.js');
+const VideoManifest = require('../js/video-manifest.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'avif', 'svg', 'ico'];
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov', 'm4v'];
+const ASSET_EXTENSIONS = [
+    ...IMAGE_EXTENSIONS,
+    ...VIDEO_EXTENSIONS,
+    'mp3', 'wav', 'json', 'webmanifest', 'css', 'js', 'html', 'woff', 'woff2', 'ttf', 'otf', 'glb', 'gltf'
+];
+
+// Quoted strings or url(...) values that end in a known asset extension
+const REFERENCE_PATTERN = new RegExp(
+    `(["'\`])([^"'\`\\n]*?\\.(?:${ASSET_EXTENSIONS.join('|')}))(?:[?#][^"'\`\\n]*)?\\1` +
+    `|url\\(\\s*([^"'\`)\\s]+?\\.(?:${ASSET_EXTENSIONS.join('|')}))(?:[?#][^)\\s]*)?\\s*\\)`,
+    'gi'
+);
+
+function parseArgs(argv) {
+    const options = {
+        strict: false,
+        ignore: [],
+        maxImageBytes: 1024 * 1024,
+        maxVideoBytes: 50 * 1024 * 1024
+    };
+
+    argv.forEach(arg => {
+        const [flag, value] = arg.split('=');
+
+        switch (flag) {
+            case '--strict':
+                options.strict = true;
+                break;
+            case '--ignore':
+                options.ignore.push(toPosix(value || '').replace(/^\.\//, ''));
+                break;
+            case '--max-image-kb':
+                options.maxImageBytes = Number(value) * 1024;
+                break;
+            case '--max-video-mb':
+                options.maxVideoBytes = Number(value) * 1024 * 1024;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    });
+
+    return options;
+}
+
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+function walk(dir) {
+    const absolute = path.join(ROOT, dir);
+    if (!fs.existsSync(absolute)) return [];
+
+    return fs.readdirSync(absolute, { withFileTypes: true }).flatMap(entry => {
+        const relative = dir ? `${dir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) return walk(relative);
+        return entry.isFile() ? [relative] : [];
+    });
+}
+
+function extensionOf(filePath) {
+    return path.extname(filePath).slice(1).toLowerCase();
+}
+
+// Files whose contents are scanned for references
+function collectSourceFiles() {
+    return [
+        ...fs.readdirSync(ROOT).filter(name => name.endsWith('.html')),
+        ...walk('components').filter(file => file.endsWith('.js')),
+        ...walk('js').filter(file => file.endsWith('.js')),
+        ...walk('css').filter(file => file.endsWith('.css')),
+        ...walk('data').filter(file => file.endsWith('.json')),
+        ...walk('images').filter(file => file.endsWith('.webmanifest'))
+    ];
+}
+
+// Template placeholders such as ${name} or {language} are not file names
+function isLocalReference(value) {
+    return !/^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(value) && !value.includes('{');
+}
+
+// Bare module specifiers mapped by a page's import map are not files
+function importMapPrefixes(content) {
+    const prefixes = [];
+    const pattern = /<script[^>]*type=["']importmap["'][^>]*>([\s\S]*?)<\/script>/gi;
+
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+        try {
+            prefixes.push(...Object.keys(JSON.parse(match[1]).imports || {}));
+        } catch (error) {
+            // Ignore malformed import maps; the browser will report them
+        }
+    }
+
+    return prefixes;
+}
+
+// Pages and scripts run from the site root; stylesheets and manifests resolve against their own folder
+function resolveReference(sourceFile, value) {
+    if (value.startsWith('/')) {
+        return path.posix.normalize(value.slice(1));
+    }
+
+    const ext = extensionOf(sourceFile);
+    const base = ext === 'css' || ext === 'webmanifest' ? path.posix.dirname(sourceFile) : '';
+    return path.posix.normalize(path.posix.join(base, value));
+}
+
+function lineOf(content, index) {
+    return content.slice(0, index).split('\n').length;
+}
+
+function collectReferences(sourceFiles) {
+    const references = [];
+
+    sourceFiles.forEach(sourceFile => {
+        const content = fs.readFileSync(path.join(ROOT, sourceFile), 'utf8');
+        const mappedPrefixes = importMapPrefixes(content);
+        REFERENCE_PATTERN.lastIndex = 0;
+
+        let match;
+        while ((match = REFERENCE_PATTERN.exec(content)) !== null) {
+            const value = match[2] || match[3];
+            if (!isLocalReference(value) || mappedPrefixes.some(prefix => value.startsWith(prefix))) continue;
+
+            let decoded = value;
+            try {
+                decoded = decodeURI(value);
+            } catch (error) {
+                // Keep the raw value when it is not valid URI encoding
+            }
+
+            references.push({
+                source: sourceFile,
+                line: lineOf(content, match.index),
+                value,
+                target: resolveReference(sourceFile, decoded)
+            });
+        }
+    });
+
+    return references;
+}
+
+function levenshtein(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+
+    return row[b.length];
+}
+
+// Find the existing file a broken reference most likely meant
+function suggestFile(target, existingFiles) {
+    const normalize = file => file.toLowerCase().replace(/\s+/g, '');
+    const wanted = normalize(target);
+
+    const exact = existingFiles.find(file => normalize(file) === wanted);
+    if (exact) return exact;
+
+    const sameDir = existingFiles.filter(file => path.posix.dirname(file) === path.posix.dirname(target));
+    let best = null;
+    let bestDistance = 4;
+
+    sameDir.forEach(file => {
+        const distance = levenshtein(path.posix.basename(normalize(file)), path.posix.basename(wanted));
+        if (distance < bestDistance) {
+            best = file;
+            bestDistance = distance;
+        }
+    });
+
+    // Fall back to a file with the same name in another folder
+    return best || existingFiles.find(file => path.posix.basename(normalize(file)) === path.posix.basename(wanted)) || null;
+}
+
+function hashFile(file) {
+    return crypto.createHash('sha1').update(fs.readFileSync(path.join(ROOT, file))).digest('hex');
+}
+
+function readJson(file, errors) {
+    const absolute = path.join(ROOT, file);
+    if (!fs.existsSync(absolute)) return null;
+
+    try {
+        return JSON.parse(fs.readFileSync(absolute, 'utf8'));
+    } catch (error) {
+        errors.push(`${file}: invalid JSON (${error.message})`);
+        return null;
+    }
+}
+
+// Dotted keys of every message in a nested message file
+function messageKeys(messages, prefix = '') {
+    return Object.entries(messages).flatMap(([key, value]) =>
+        value && typeof value === 'object' ? messageKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`]);
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024
+        ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+        : `${Math.round(bytes / 1024)} KB`;
+}
+
+function run(options) {
+    const errors = [];
+    const warnings = [];
+    const ignored = file => options.ignore.some(prefix => prefix && file.startsWith(prefix));
+
+    const existingFiles = walk('').filter(file => !file.startsWith('.git/') && !file.startsWith('node_modules/'));
+    const existing = new Set(existingFiles);
+    const references = collectReferences(collectSourceFiles());
+
+    // Broken and fragile references
+    references.forEach(reference => {
+        if (ignored(reference.target)) return;
+
+        const location = `${reference.source}:${reference.line}`;
+
+        if (!existing.has(reference.target)) {
+            const suggestion = suggestFile(reference.target, existingFiles);
+            errors.push(`${location}: missing file "${reference.value}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+        }
+
+        if (/\s/.test(reference.value)) {
+            warnings.push(`${location}: reference "${reference.value}" contains whitespace`);
+        }
+    });
+
+    // Data files
+    const projects = readJson('data/projects.json', errors);
+    if (projects !== null) {
+        ProjectCatalog.validate(projects).forEach(error => errors.push(`data/projects.json: ${error.message}`));
+    }
+
+    const videos = readJson('data/videos.json', errors);
+    if (videos !== null) {
+        VideoManifest.validate(videos).forEach(message => errors.push(`data/videos.json: ${message}`));
+    }
+
+    // Message files
+    const localeFiles = walk('locales').filter(file => file.endsWith('.json'));
+    const messages = new Map(localeFiles.map(file => [file, readJson(file, errors)]));
+    const english = messages.get('locales/en.json');
+
+    if (english) {
+        const expected = messageKeys(english);
+        messages.forEach((content, file) => {
+            if (!content || file === 'locales/en.json') return;
+
+            const present = new Set(messageKeys(content));
+            expected
+                .filter(key => !present.has(key))
+                .forEach(key => warnings.push(`${file}: missing message "${key}"`));
+        });
+    }
+
+    // Duplicated and unused images
+    const imageFiles = existingFiles.filter(file => file.startsWith('images/') && IMAGE_EXTENSIONS.includes(extensionOf(file)));
+    const byHash = new Map();
+
+    imageFiles.forEach(file => {
+        const hash = hashFile(file);
+        byHash.set(hash, [...(byHash.get(hash) || []), file]);
+    });
+
+    byHash.forEach(files => {
+        if (files.length > 1) {
+            warnings.push(`duplicate images: ${files.map(file => `"${file}"`).join(', ')}`);
+        }
+    });
+
+    const referenced = new Set(references.map(reference => reference.target));
+    imageFiles
+        .filter(file => !referenced.has(file) && !ignored(file))
+        .forEach(file => warnings.push(`unused image: "${file}"`));
+
+    // Oversized media
+    existingFiles
+        .filter(file => !ignored(file))
+        .forEach(file => {
+            const ext = extensionOf(file);
+            const limit = IMAGE_EXTENSIONS.includes(ext)
+                ? options.maxImageBytes
+                : VIDEO_EXTENSIONS.includes(ext) ? options.maxVideoBytes : null;
+
+            if (limit === null) return;
+
+            const size = fs.statSync(path.join(ROOT, file)).size;
+            if (size > limit) {
+                warnings.push(`oversized media: "${file}" is ${formatBytes(size)} (limit ${formatBytes(limit)})`);
+            }
+        });
+
+    return { errors, warnings, referenceCount: references.length };
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    const { errors, warnings, referenceCount } = run(options);
+
+    errors.forEach(message => console.error(`✖ ${message}`));
+    warnings.forEach(message => console.warn(`⚠ ${message}`));
+
+    console.log(`\nChecked ${referenceCount} references: ${errors.length} error(s), ${warnings.length} warning(s)`);
+
+    const failed = errors.length > 0 || (options.strict && warnings.length > 0);
+    process.exit(failed ? 1 : 0);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { run, collectReferences, resolveReference, suggestFile };
@@ -0,0 +1,130 @@
+// 🧱 Static Prerender for Video Editor Portfolio
+// Runs the component render() functions at build time and writes their markup into every page,
+// so the header, menu, footer and works list ship as plain HTML and work without JavaScript
+//
+// Usage:
+//   node scripts/prerender.js          Rewrite the pages in place
+//   node scripts/prerender.js --check  Exit with status 1 if any page is out of date
+//
+// Mark where a component goes with a pair of comments; everything between them is replaced:
+//   <!-- component:header --><!-- /component:header -->
+//
+// Available components: header, menu, footer, works
+
+const fs = require('fs');
+const path = require('path');
+
+// Components extend the Component global and render with the html`` helper, as they do in the browser
+Object.assign(global, require('../js/html-template.js'));
+global.Component = require('../components/Component.js');
+global.I18n = require('../js/i18n.js');
+
+const Header = require('../components/Header.js');
+const MobileMenu = require('../components/MobileMenu.js');
+const Footer = require('../components/Footer.js');
+const ProjectCard = require('../components/ProjectCard.js');
+const { ProjectCatalog } = require('../js/project-catalog.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Static markup is always rendered in the default language; other languages re-render on load
+I18n.current = new I18n(
+    I18n.DEFAULT_LANGUAGE,
+    JSON.parse(fs.readFileSync(path.join(ROOT, 'locales', `${I18n.DEFAULT_LANGUAGE}.json`), 'utf8'))
+);
+
+const PLACEHOLDER_PATTERN = /^([ \t]*)<!-- component:([\w-]+) -->[\s\S]*?<!-- \/component:\2 -->/gm;
+
+// ProjectCatalog renders through the ProjectCard global, as it does in the browser
+global.ProjectCard = ProjectCard;
+
+// Constructors only store props; nothing touches the DOM until mount()
+function renderStatic(ComponentClass, page) {
+    return new ComponentClass(page).render();
+}
+
+// Section links point back at index.html from every other page
+function pageContext(page) {
+    return { basePath: page === 'index.html' ? '' : 'index.html' };
+}
+
+const COMPONENTS = {
+    header: page => renderStatic(Header, page),
+    menu: page => renderStatic(MobileMenu, page),
+    footer: page => renderStatic(Footer, page),
+    works: () => {
+        const projects = JSON.parse(fs.readFileSync(path.join(ROOT, ProjectCatalog.DEFAULT_SOURCE), 'utf8'));
+        return new ProjectCatalog(projects).render();
+    }
+};
+
+// Strip the template's own indentation and re-indent it to sit under the placeholder
+function indent(markup, prefix) {
+    const lines = String(markup).replace(/\r\n/g, '\n').split('\n');
+
+    while (lines.length && lines[0].trim() === '') lines.shift();
+    while (lines.length && lines[lines.length - 1].trim() === '') lines.pop();
+
+    const common = Math.min(...lines
+        .filter(line => line.trim() !== '')
+        .map(line => line.match(/^[ \t]*/)[0].length));
+
+    return lines.map(line => (line.trim() === '' ? '' : prefix + line.slice(common))).join('\n');
+}
+
+function prerenderPage(content, page) {
+    const newline = content.includes('\r\n') ? '\r\n' : '\n';
+    const used = [];
+
+    const output = content.replace(PLACEHOLDER_PATTERN, (match, prefix, name) => {
+        if (!COMPONENTS[name]) {
+            throw new Error(`Unknown component placeholder "${name}"`);
+        }
+
+        used.push(name);
+        const body = indent(COMPONENTS[name](page), prefix).split('\n').join(newline);
+        return `${prefix}<!-- component:${name} -->${newline}${body}${newline}${prefix}<!-- /component:${name} -->`;
+    });
+
+    return { output, used };
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const stale = [];
+
+    const pages = fs.readdirSync(ROOT).filter(name => name.endsWith('.html'));
+
+    pages.forEach(page => {
+        const file = path.join(ROOT, page);
+        const content = fs.readFileSync(file, 'utf8');
+        const { output, used } = prerenderPage(content, pageContext(page));
+
+        if (used.length === 0) return;
+
+        if (output !== content) {
+            stale.push(page);
+            if (!checkOnly) {
+                fs.writeFileSync(file, output);
+            }
+        }
+
+        console.log(`${output !== content ? (checkOnly ? '✖' : '✔') : '='} ${page}: ${used.join(', ')}`);
+    });
+
+    if (checkOnly && stale.length > 0) {
+        console.error(`\n${stale.length} page(s) out of date, run: node scripts/prerender.js`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { prerenderPage, COMPONENTS };
@@ -7,14 +7,15 @@ module.exports = {
   ],
   theme: {
     extend: {
+      // Defined in css/tailwind-optimized.css so the colour scheme can swap them
       colors: {
-        'taupe-gray': '#8B7D6B',
-        'pampas': '#E5E1DC',
-        'mine-shaft': '#2A2A2A',
-        'silver-chalice': '#A5A5A5',
-        'emperor': '#545454',
-        'gray': '#808080',
-        'silver': '#C0C0C0',
+        'taupe-gray': 'var(--taupe-gray)',
+        'pampas': 'var(--pampas)',
+        'mine-shaft': 'var(--mine-shaft)',
+        'silver-chalice': 'var(--silver-chalice)',
+        'emperor': 'var(--emperor)',
+        'gray': 'var(--gray)',
+        'silver': 'var(--silver)',
       },
       fontFamily: {
         'serif': ['Hiragino Mincho ProN', 'Yu Mincho', 'YuMincho', 'HG Mincho E', 'MS Mincho', 'serif'],
@@ -144,13 +145,13 @@ module.exports = {
           display: 'contents',
         },
         '.bg-mine-shaft-texture': {
-          'background-color': '#2A2A2A',
+          'background-color': 'var(--mine-shaft)',
           'background-image': 'radial-gradient(circle at 1px 1px, rgba(255, 255, 255, 0.05) 1px, transparent 0)',
           'background-size': '20px 20px',
         },
         '.bg-gray-texture': {
-          'background-color': '#F5F5F5',
-          'background-image': 'radial-gradient(circle at 1px 1px, rgba(0, 0, 0, 0.05) 1px, transparent 0)',
+          'background-color': 'var(--surface)',
+          'background-image': 'radial-gradient(circle at 1px 1px, var(--surface-dot) 1px, transparent 0)',
           'background-size': '20px 20px',
         },
       }